@@ -0,0 +1,161 @@
+/**
+ * @file records the actions called on a store, to replay them on another one
+ *
+ *   createActionLog(state, options)  used by createStore, on by default
+ *   replayActions(state, log)        calls each logged action in order
+ *   recordClassActions($self, names) marks the actions that came from a class
+ *
+ * @example
+ *   const { actionLog } = Todo.createStore(data)
+ *   state.toggle()
+ *   const json = JSON.stringify(actionLog)
+ *
+ *   const fresh = Todo.createStore(data)
+ *   replayActions(fresh.state, json)
+ */
+const { ThislessInputError } = require('./errors')
+const { isPlainObject } = require('./index')
+const { mst } = require('./shared')
+const { memberCall } = require('./hot')
+
+/**
+ * @desc state tree node => names of its actions that came from an action class
+ */
+const classActions = new WeakMap()
+
+/**
+ * @desc entries kept by default, the log is on for every store
+ */
+const DEFAULT_LIMIT = 1000
+
+/**
+ * @param {MobxStateTree.Instance} $self
+ * @param {Array<string>} names
+ * @return {void}
+ */
+function recordClassActions($self, names) {
+  if (!classActions.has($self)) classActions.set($self, new Set())
+  names.forEach(name => classActions.get($self).add(name))
+}
+
+/**
+ * @param {*} actionLog
+ * @return {Object} { limit }
+ */
+function actionLogOptions(actionLog) {
+  const options = actionLog === true ? {} : actionLog
+  if (!isPlainObject(options)) {
+    throw new ThislessInputError({
+      entry: 'actionLog',
+      value: actionLog,
+      expected: 'true, false or an options object',
+      hint: '{ actionLog: { limit: 1000 } }',
+    })
+  }
+
+  const { limit = DEFAULT_LIMIT } = options
+  if (!(limit >= 1)) {
+    throw new ThislessInputError({
+      entry: 'actionLog',
+      value: limit,
+      expected: 'limit to be a positive number',
+    })
+  }
+  return { limit }
+}
+
+/**
+ * @desc logs each top level call of an action that came from an action class,
+ *       with its name, serialized args, path from the root & timestamp
+ *
+ * @param {MobxStateTree.Instance} state
+ * @param {boolean|Object} [actionLog=true]
+ * @param {number} [actionLog.limit=1000] entries kept, the oldest are dropped,
+ *        Infinity keeps them all
+ * @return {ActionLog} { entries, toJSON, replay, clear, stop }
+ */
+function createActionLog(state, actionLog = true) {
+  const { limit } = actionLogOptions(actionLog)
+  let entries = []
+
+  const isFromClass = ({ name, path }) => {
+    const node = mst().resolvePath(state, path)
+    return classActions.has(node) && classActions.get(node).has(name)
+  }
+
+  const stop = mst().onAction(state, call => {
+    const called = memberCall(call)
+    if (!isFromClass(called)) return
+
+    const { name, args, path } = called
+    entries.push({ name, args, path, timestamp: Date.now() })
+    if (entries.length > limit) entries.shift()
+  })
+
+  return {
+    /**
+     * @return {Array<Object>} [{ name, args, path, timestamp }]
+     */
+    get entries() {
+      return entries.slice()
+    },
+    /**
+     * @return {Object} { model, actions }, for JSON.stringify
+     */
+    toJSON() {
+      return { model: mst().getType(state).name, actions: entries.slice() }
+    },
+    /**
+     * @param {MobxStateTree.Instance} target
+     * @return {MobxStateTree.Instance} target
+     */
+    replay: target => replayActions(target, entries),
+    clear() {
+      entries = []
+    },
+    stop,
+  }
+}
+
+/**
+ * @desc calls each logged action on the state in order
+ *
+ * @param {MobxStateTree.Instance} state
+ * @param {string|Object|Array<Object>} log json, toJSON() or the entries
+ * @return {MobxStateTree.Instance} state
+ *
+ * @example
+ *   test('bug report', () => {
+ *     const { state } = Todo.createStore(data)
+ *     replayActions(state, require('./report.json'))
+ *     expect(state.todos.length).toBe(2)
+ *   })
+ */
+function replayActions(state, log) {
+  const parsed = typeof log === 'string' ? JSON.parse(log) : log
+  const actions = Array.isArray(parsed)
+    ? parsed
+    : isPlainObject(parsed)
+    ? parsed.actions
+    : undefined
+
+  if (!Array.isArray(actions)) {
+    throw new ThislessInputError({
+      entry: 'replayActions',
+      value: log,
+      expected: 'an action log, its json or its entries',
+      hint: 'replayActions(state, JSON.stringify(actionLog))',
+    })
+  }
+
+  actions.forEach(({ name, args, path }) =>
+    mst().applyAction(state, { name, args, path })
+  )
+  return state
+}
+
+module.exports = {
+  createActionLog,
+  replayActions,
+  recordClassActions,
+}
@@ -0,0 +1,135 @@
+/**
+ * @file compares converting a selfless class per instance
+ *       with the original selfless, with & without the cached layout,
+ *       and defining each key against one Object.create(null, descriptors)
+ *
+ * @example
+ *   node bench.js
+ *   node bench.js 50000
+ */
+const { types } = require('mobx-state-tree')
+const { selfless, NATIVE_PROPS_NON_ENUMERABLE } = require('./index')
+require('./statetree')
+
+const ITERATIONS = Number(process.argv[2]) || 20000
+
+/**
+ * @desc the original toBlankObj, one defineProperty per key
+ * @param {Object} obj
+ * @return {BlankObject}
+ */
+function originalToBlankObj(obj) {
+  const blankObj = Object.create(null)
+  Object.getOwnPropertyNames(obj)
+    .filter(name => !NATIVE_PROPS_NON_ENUMERABLE.includes(name))
+    .forEach(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(obj, key)
+      descriptor.enumerable = true
+      Object.defineProperty(blankObj, key, descriptor)
+    })
+  return blankObj
+}
+
+/**
+ * @desc the original selfless, before layouts & metadata
+ * @param {Function} factory
+ * @param {Object} $self
+ * @return {BlankObject}
+ */
+const originalSelfless = (factory, $self) =>
+  originalToBlankObj(factory($self).prototype)
+
+/**
+ * @desc collects the descriptors, creates the blank object in one call
+ * @param {Object} obj
+ * @return {BlankObject}
+ */
+function createWithDescriptors(obj) {
+  const descriptors = Object.create(null)
+  Object.getOwnPropertyNames(obj)
+    .filter(name => !NATIVE_PROPS_NON_ENUMERABLE.includes(name))
+    .forEach(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(obj, key)
+      descriptor.enumerable = true
+      descriptors[key] = descriptor
+    })
+  return Object.create(null, descriptors)
+}
+
+const getActions = self =>
+  class {
+    toggle() {
+      self.done = !self.done
+    }
+    rename(title) {
+      self.title = title
+    }
+    remove() {}
+    archive() {}
+    restore() {}
+    moveUp() {}
+    moveDown() {}
+  }
+
+/**
+ * @param {string} name
+ * @param {Function} fn
+ * @return {number} ms
+ */
+function measure(name, fn) {
+  // warm up so the jit is not measured
+  for (let i = 0; i < 1000; i++) fn(i)
+
+  const start = process.hrtime.bigint()
+  for (let i = 0; i < ITERATIONS; i++) fn(i)
+  const ms = Number(process.hrtime.bigint() - start) / 1e6
+
+  console.log(`${name.padEnd(32)} ${ms.toFixed(1).padStart(8)}ms`)
+  return ms
+}
+
+console.log(`${ITERATIONS} iterations\n`)
+
+const self = { done: false, title: '' }
+const original = measure('original selfless', () =>
+  originalSelfless(getActions, self)
+)
+const withDescriptors = measure('Object.create(null, descriptors)', () =>
+  createWithDescriptors(getActions(self).prototype)
+)
+const uncached = measure('selfless, cache: false', () =>
+  selfless(getActions, self, { cache: false })
+)
+const cached = measure('selfless, cached layout', () =>
+  selfless(getActions, self)
+)
+
+/**
+ * @param {string} name
+ * @param {number} ms
+ * @param {string} otherName
+ * @param {number} otherMs
+ * @return {void}
+ */
+const compare = (name, ms, otherName, otherMs) =>
+  console.log(
+    `${name} takes ${(ms / otherMs).toFixed(2)}x the time of ${otherName}`
+  )
+
+console.log('')
+compare('original selfless', original, 'Object.create', withDescriptors)
+compare('cached layout', cached, 'original selfless', original)
+compare('cached layout', cached, 'cache: false', uncached)
+console.log('')
+
+const OriginalTodo = types
+  .model({ done: false, title: '' })
+  .actions(self => originalSelfless(getActions, self))
+const Todo = types.model({ done: false, title: '' }).actions(getActions)
+const UncachedTodo = types
+  .model({ done: false, title: '' })
+  .actions(getActions, { cache: false })
+
+measure('mst create, original selfless', () => OriginalTodo.create().toggle())
+measure('mst create, cache: false', () => UncachedTodo.create().toggle())
+measure('mst create, cached layout', () => Todo.create().toggle())
@@ -0,0 +1,115 @@
+/**
+ * @file development checks for `this` & `super` in thisless classes
+ *       members of a blank object get called detached, so they should close over self
+ *
+ * @example
+ *   thisless(class Eh {
+ *     moose() {
+ *       return this.igloo
+ *     }
+ *   }, { checkThis: 'warn' })
+ *   //=> thisless: Eh.moose (method) uses this on line 2
+ */
+const { findThisReferences } = require('./source')
+const { ThisUsageError, ThislessInputError, formatUsage } = require('./errors')
+
+/**
+ * @desc warn: console.warn each reference
+ *       throw: throw a ThisUsageError listing each reference
+ *       bind: bind the members using this to the blank object
+ */
+const CHECK_THIS_MODES = Object.freeze(['warn', 'throw', 'bind'])
+
+/**
+ * @desc lazily, index requires this module
+ * @param {BlankObject} blankObj
+ * @return {Array<string|symbol>} keys without SUPER & the metadata
+ */
+const memberKeysOf = blankObj => require('./index').getMemberKeys(blankObj)
+
+/**
+ * @param {PropertyDescriptor} descriptor
+ * @return {Array<Array>} [[kind, fn, descriptorProperty]]
+ */
+function functionsOfDescriptor(descriptor) {
+  const functions = []
+  if (typeof descriptor.value === 'function') {
+    functions.push(['method', descriptor.value, 'value'])
+  }
+  if (typeof descriptor.get === 'function') {
+    functions.push(['getter', descriptor.get, 'get'])
+  }
+  if (typeof descriptor.set === 'function') {
+    functions.push(['setter', descriptor.set, 'set'])
+  }
+  return functions
+}
+
+/**
+ * @desc every method, getter & setter on the blank object using this or super
+ *
+ * @param {BlankObject} blankObj
+ * @param {string} [name='anonymous class'] used in reports
+ * @return {Array<ThisUsage>} [{ name, key, kind, keyword, line, property }]
+ */
+function findThisUsage(blankObj, name = 'anonymous class') {
+  const usages = []
+
+  memberKeysOf(blankObj).forEach(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(blankObj, key)
+    functionsOfDescriptor(descriptor).forEach(([kind, fn, property]) => {
+      findThisReferences(fn).forEach(({ keyword, line }) => {
+        usages.push({ name, key, kind, keyword, line, property })
+      })
+    })
+  })
+
+  return usages
+}
+
+/**
+ * @param {BlankObject} blankObj
+ * @param {string} mode warn | throw | bind
+ * @param {string} [name] of the class, for reports
+ * @return {BlankObject} the same blank object, with members bound when mode is bind
+ */
+function checkThis(blankObj, mode, name) {
+  if (!CHECK_THIS_MODES.includes(mode)) {
+    throw new ThislessInputError({
+      entry: 'thisless',
+      value: mode,
+      expected: `checkThis to be one of ${CHECK_THIS_MODES.join(', ')}`,
+    })
+  }
+
+  const usages = findThisUsage(blankObj, name || undefined)
+  if (usages.length === 0) return blankObj
+
+  if (mode === 'throw') throw new ThisUsageError(usages)
+  if (mode === 'warn') {
+    usages.forEach(usage => console.warn(formatUsage(usage)))
+    return blankObj
+  }
+
+  // a member can use this more than once, bind it once
+  const bound = new Set()
+  usages.forEach(({ key, property }) => {
+    const descriptor = Object.getOwnPropertyDescriptor(blankObj, key)
+    const fn = descriptor[property]
+    if (bound.has(fn)) return
+
+    descriptor[property] = fn.bind(blankObj)
+    bound.add(descriptor[property])
+    Object.defineProperty(blankObj, key, descriptor)
+  })
+
+  return blankObj
+}
+
+module.exports = {
+  checkThis,
+  findThisUsage,
+  functionsOfDescriptor,
+  ThisUsageError,
+  CHECK_THIS_MODES,
+}
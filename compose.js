@@ -0,0 +1,172 @@
+/**
+ * @file merge multiple thisless classes or blank objects
+ *       by their descriptors, getters are never evaluated
+ *
+ * @example
+ *   const blank = compose(Actions, Logging, { extra() {} })
+ */
+const { thisless, describe, getMemberKeys, isUndefined } = require('./index')
+const { ComposeConflictError, ThislessInputError } = require('./errors')
+
+/**
+ * @desc each strategy receives the conflicting key & descriptors in source order
+ *       and returns the descriptor to use
+ */
+const STRATEGIES = Object.freeze({
+  first: (key, descriptors) => descriptors[0],
+  last: (key, descriptors) => descriptors[descriptors.length - 1],
+  chain: (key, descriptors) => {
+    const fns = descriptors.map(descriptor => descriptor.value)
+    if (!fns.every(fn => typeof fn === 'function')) {
+      throw new ThislessInputError({
+        entry: 'compose',
+        value: fns.find(fn => typeof fn !== 'function'),
+        expected: `only methods when chaining ${String(key)}`,
+        hint: `use strategies: { ${String(key)}: 'first' | 'last' }`,
+      })
+    }
+
+    // calls every method in order, returns the last result
+    const chained = function(...args) {
+      let result
+      fns.forEach(fn => {
+        result = fn.apply(this, args)
+      })
+      return result
+    }
+    Object.defineProperty(chained, 'name', { value: String(key) })
+
+    return Object.assign({}, descriptors[0], { value: chained })
+  },
+})
+
+/**
+ * @desc the class name, also of blank objects made by thisless,
+ *       the position for object literals
+ *
+ * @param {Class | Object} source
+ * @param {BlankObject | Object} blankObj the source converted
+ * @param {number} index
+ * @return {string}
+ */
+const nameOfSource = (source, blankObj, index) =>
+  (typeof source === 'function' && source.name) ||
+  describe(blankObj).name ||
+  `sources[${index}]`
+
+/**
+ * @desc the same function, getter & setter is not a conflict,
+ *       happens when composing classes sharing a base
+ *
+ * @param {PropertyDescriptor} a
+ * @param {PropertyDescriptor} b
+ * @return {boolean}
+ */
+const isSameDescriptor = (a, b) =>
+  a.value === b.value && a.get === b.get && a.set === b.set
+
+/**
+ * @param {Object} [options={}]
+ * @param {string | Function} [options.strategy='throw']
+ *        throw, first, last, chain, or (key, descriptors) => descriptor
+ * @param {Object} [options.strategies={}] strategy per member name
+ * @param {Function} [options.onConflict] called with each conflict before resolving
+ * @param {...(Class | Object)} sources classes are converted with thisless(source, options)
+ * @return {BlankObject}
+ *
+ * @example
+ *   composeWith({ strategy: 'chain' }, Logging, Actions).moose()
+ *   //=> calls Logging moose, then Actions moose
+ */
+function composeWith(options = {}, ...sources) {
+  const { strategy = 'throw', strategies = {}, onConflict } = options
+  const collected = new Map()
+
+  sources.forEach((source, index) => {
+    if (source === null || !/^(object|function)$/.test(typeof source)) {
+      throw new ThislessInputError({
+        entry: 'compose',
+        value: source,
+        expected: `a class or object for sources[${index}]`,
+      })
+    }
+
+    const blankObj =
+      typeof source === 'function' ? thisless(source, options) : source
+    const name = nameOfSource(source, blankObj, index)
+
+    // hidden private members too, they stay hidden
+    getMemberKeys(blankObj).forEach(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(blankObj, key)
+      if (!collected.has(key)) collected.set(key, [])
+
+      const entries = collected.get(key)
+      if (
+        !entries.some(entry => isSameDescriptor(entry.descriptor, descriptor))
+      ) {
+        entries.push({ name, descriptor })
+      }
+    })
+  })
+
+  const composed = Object.create(null)
+  const thrown = []
+
+  collected.forEach((entries, key) => {
+    const descriptors = entries.map(entry => entry.descriptor)
+    let descriptor = descriptors[0]
+
+    if (entries.length > 1) {
+      const conflict = { key, sources: entries.map(entry => entry.name) }
+      if (!isUndefined(onConflict)) onConflict(conflict)
+
+      const keyStrategy = isUndefined(strategies[key])
+        ? strategy
+        : strategies[key]
+      if (keyStrategy === 'throw') {
+        thrown.push(conflict)
+        return
+      }
+
+      const resolve =
+        typeof keyStrategy === 'function'
+          ? keyStrategy
+          : STRATEGIES[keyStrategy]
+      if (isUndefined(resolve)) {
+        throw new ThislessInputError({
+          entry: 'compose',
+          value: keyStrategy,
+          expected:
+            'strategy to be one of throw, first, last, chain or a function',
+        })
+      }
+      descriptor = resolve(key, descriptors)
+    }
+
+    Object.defineProperty(
+      composed,
+      key,
+      Object.assign({}, descriptor, {
+        enumerable: descriptor.enumerable !== false,
+      })
+    )
+  })
+
+  if (thrown.length !== 0) throw new ComposeConflictError(thrown)
+
+  return composed
+}
+
+/**
+ * @see composeWith
+ * @param {...(Class | Object)} sources
+ * @return {BlankObject} throws on conflicts
+ */
+const compose = (...sources) => composeWith({}, ...sources)
+
+module.exports = {
+  compose,
+  composeWith,
+  ComposeConflictError,
+  STRATEGIES,
+}
@@ -0,0 +1,162 @@
+/**
+ * @file errors thrown by thisless, all extend ThislessError
+ *
+ *   ThislessError
+ *     ThislessInputError    an entry point received something it can't use
+ *     SelflessFactoryError  a selfless factory returned something it can't use
+ *     ComposeConflictError  compose found conflicting members
+ *     ThisUsageError        checkThis found members using this or super
+ *     LifecycleHookError    a state tree class has a hook mst would not call
+ */
+const { isClassSource } = require('./source')
+
+/**
+ * @desc more specific than typeof, for messages
+ * @param {*} value
+ * @return {string}
+ * @example
+ *   typeOf(() => {}) //=> 'arrow function'
+ *   typeOf(new Date()) //=> 'Date instance'
+ */
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'function') {
+    if (isClassSource(value)) return 'class'
+    return value.prototype === undefined ? 'arrow function' : 'function'
+  }
+  if (typeof value === 'object') {
+    const proto = Object.getPrototypeOf(value)
+    if (proto === null || proto === Object.prototype) return 'object'
+    const ctor = proto.constructor
+    return typeof ctor === 'function' && ctor.name
+      ? `${ctor.name} instance`
+      : 'object'
+  }
+  return typeof value
+}
+
+/**
+ * @param {string} message
+ * @param {string} [hint]
+ * @return {string}
+ */
+const withHint = (message, hint) =>
+  hint === undefined ? message : `${message}\nhint: ${hint}`
+
+class ThislessError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details={}] assigned to the error
+   */
+  constructor(message, details = {}) {
+    super(message)
+    this.name = this.constructor.name
+    Object.assign(this, details)
+  }
+}
+
+class ThislessInputError extends ThislessError {
+  /**
+   * @param {Object} details
+   * @param {string} details.entry function that received the value, 'thisless'
+   * @param {*} details.value the offending value
+   * @param {string} details.expected 'a class or plain object'
+   * @param {string} [details.hint]
+   */
+  constructor({ entry, value, expected, hint }) {
+    const valueType = typeOf(value)
+    super(
+      withHint(`${entry}: expected ${expected}, received ${valueType}`, hint),
+      { entry, value, valueType, expected, hint }
+    )
+  }
+}
+
+class SelflessFactoryError extends ThislessError {
+  /**
+   * @param {Object} details
+   * @param {Function} details.factory self => class {}
+   * @param {*} details.value what the factory returned
+   * @param {string} [details.hint]
+   */
+  constructor({ factory, value, hint }) {
+    const factoryName = factory.name || 'anonymous factory'
+    const valueType = typeOf(value)
+    super(
+      withHint(
+        `selfless: ${factoryName} returned ${valueType}, expected a class or plain object`,
+        hint
+      ),
+      { factoryName, value, valueType, hint }
+    )
+  }
+}
+
+class ComposeConflictError extends ThislessError {
+  /**
+   * @desc has every conflicting name, not only the first
+   * @param {Array<Conflict>} conflicts
+   */
+  constructor(conflicts) {
+    const list = conflicts
+      .map(({ key, sources }) => `${String(key)} (${sources.join(', ')})`)
+      .join(', ')
+    super(`compose: conflicting members ${list}`, { conflicts })
+  }
+}
+
+/**
+ * @param {ThisUsage} usage
+ * @return {string}
+ */
+const formatUsage = ({ name, key, kind, keyword, line }) =>
+  `thisless: ${name}.${String(key)} (${kind}) uses ${keyword} on line ${line}`
+
+class ThisUsageError extends ThislessError {
+  /**
+   * @param {Array<ThisUsage>} usages
+   */
+  constructor(usages) {
+    super(usages.map(formatUsage).join('\n'), { usages })
+  }
+}
+
+/**
+ * @desc why a lifecycle hook would not be called
+ */
+const HOOK_PROBLEMS = Object.freeze({
+  misspelled: ({ key, hook }) =>
+    `${key} looks like the lifecycle hook ${hook}, mst would never call it`,
+  accessor: ({ key }) =>
+    `${key} is a getter or setter, lifecycle hooks have to be methods`,
+  view: ({ key }) =>
+    `${key} is a lifecycle hook in a views class, move it to the actions`,
+})
+
+class LifecycleHookError extends ThislessError {
+  /**
+   * @param {Object} details
+   * @param {string} details.key the member
+   * @param {string} details.hook the hook it looks like, afterCreate
+   * @param {string} details.problem misspelled | accessor | view
+   */
+  constructor({ key, hook, problem }) {
+    super(`thisless: ${HOOK_PROBLEMS[problem]({ key, hook })}`, {
+      key,
+      hook,
+      problem,
+    })
+  }
+}
+
+module.exports = {
+  ThislessError,
+  ThislessInputError,
+  SelflessFactoryError,
+  ComposeConflictError,
+  ThisUsageError,
+  LifecycleHookError,
+  formatUsage,
+  typeOf,
+}
@@ -0,0 +1,228 @@
+/**
+ * @file undo & redo for a state tree, one entry per top level action
+ *
+ *   createHistory(state, options)  used by createStore(data, { history })
+ *   skipHistory                    decorator for action methods left out of history
+ *
+ * @example
+ *   const { history } = Todo.createStore(data, { history: { limit: 50 } })
+ *   state.toggle()
+ *   history.undo()
+ */
+const { ThislessInputError } = require('./errors')
+const { isUndefined, isPlainObject, matchesMember } = require('./index')
+const { mst } = require('./shared')
+const { memberCall } = require('./hot')
+
+/**
+ * @desc methods decorated with skipHistory
+ */
+const skippedMethods = new WeakSet()
+
+/**
+ * @desc state tree node => names of its actions left out of history
+ */
+const skippedActions = new WeakMap()
+
+/**
+ * @desc leaves an action method out of history,
+ *       as a legacy or stage 3 decorator, or called on the method
+ *
+ * @param {Object|Function} target prototype, or the method
+ * @param {string|Object} [key] member name, or decorator context
+ * @param {PropertyDescriptor} [descriptor]
+ * @return {PropertyDescriptor|Function}
+ *
+ * @example
+ *   self => class {
+ *     @skipHistory
+ *     select(id) {
+ *       self.selected = id
+ *     }
+ *   }
+ */
+function skipHistory(target, key, descriptor) {
+  if (!isUndefined(descriptor) && typeof descriptor.value === 'function') {
+    skippedMethods.add(descriptor.value)
+    return descriptor
+  }
+  if (typeof target === 'function') {
+    skippedMethods.add(target)
+    return target
+  }
+
+  throw new ThislessInputError({
+    entry: 'skipHistory',
+    value: target,
+    expected: 'a method',
+    hint: '@skipHistory on an action method',
+  })
+}
+
+/**
+ * @desc remembers which actions of the node are decorated with skipHistory
+ *
+ * @param {MobxStateTree.Instance} $self
+ * @param {Object} actions
+ * @return {void}
+ */
+function recordSkipped($self, actions) {
+  Object.getOwnPropertyNames(actions)
+    .filter(key =>
+      skippedMethods.has(Object.getOwnPropertyDescriptor(actions, key).value)
+    )
+    .forEach(key => {
+      if (!skippedActions.has($self)) skippedActions.set($self, new Set())
+      skippedActions.get($self).add(key)
+    })
+}
+
+/**
+ * @param {*} history
+ * @return {Object} { limit, exclude }
+ */
+function historyOptions(history) {
+  const options = history === true ? {} : history
+  if (!isPlainObject(options)) {
+    throw new ThislessInputError({
+      entry: 'history',
+      value: history,
+      expected: 'true or an options object',
+      hint: '{ history: { limit: 100 } }',
+    })
+  }
+
+  const { limit = 100, exclude } = options
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ThislessInputError({
+      entry: 'history',
+      value: limit,
+      expected: 'limit to be a positive integer',
+    })
+  }
+  return { limit, exclude }
+}
+
+/**
+ * @desc records the patches of each top level action as one entry,
+ *       nested actions & the steps of a flow are part of the entry that started them.
+ *       actions named by `exclude`, decorated with skipHistory,
+ *       or run by mst itself (@APPLY_SNAPSHOT) are not recorded
+ *
+ * @param {MobxStateTree.Instance} state
+ * @param {boolean|Object} [history=true]
+ * @param {number} [history.limit=100] entries kept, the oldest are dropped
+ * @param {MemberMatcher} [history.exclude] action names left out, /^select/
+ * @return {History} { undo, redo, canUndo, canRedo, clear, entries, stop }
+ */
+function createHistory(state, history = true) {
+  const { limit, exclude } = historyOptions(history)
+
+  let entries = []
+  let index = 0
+  let applying = false
+  const open = new Map()
+  const flows = new Set()
+
+  const isSkipped = ({ name, context }) =>
+    name.startsWith('@') ||
+    (!isUndefined(exclude) && matchesMember(exclude, name)) ||
+    (skippedActions.has(context) && skippedActions.get(context).has(name))
+
+  const record = (entry, call, next) => {
+    const recorder = mst().recordPatches(state)
+    try {
+      return next(call)
+    } finally {
+      recorder.stop()
+      entry.patches.push(...recorder.patches)
+      entry.inversePatches.push(...recorder.inversePatches)
+    }
+  }
+
+  const close = (rootId, entry) => {
+    open.delete(rootId)
+    flows.delete(rootId)
+    if (entry.patches.length === 0) return
+
+    entries = entries.slice(0, index).concat([entry])
+    if (entries.length > limit) entries = entries.slice(-limit)
+    index = entries.length
+  }
+
+  const stop = mst().addMiddleware(state, (call, next) => {
+    const entry = open.get(call.rootId)
+
+    if (applying) return next(call)
+    if (call.type === 'action' && call.parentId === 0) {
+      const called = memberCall(call)
+      if (isSkipped(called)) return next(call)
+
+      const started = { name: called.name, patches: [], inversePatches: [] }
+      open.set(call.rootId, started)
+      const result = record(started, call, next)
+      // a flow stays open until it returns or throws
+      if (!flows.has(call.rootId)) close(call.rootId, started)
+      return result
+    }
+    if (isUndefined(entry)) return next(call)
+
+    if (call.type === 'flow_spawn') flows.add(call.rootId)
+    if (/^flow_resume/.test(call.type)) return record(entry, call, next)
+    if (call.type === 'flow_return' || call.type === 'flow_throw') {
+      const result = next(call)
+      close(call.rootId, entry)
+      return result
+    }
+    return next(call)
+  })
+
+  /**
+   * @param {Array<Object>} patches
+   * @return {void}
+   */
+  const apply = patches => {
+    applying = true
+    try {
+      mst().applyPatch(state, patches)
+    } finally {
+      applying = false
+    }
+  }
+
+  return {
+    get canUndo() {
+      return index > 0
+    },
+    get canRedo() {
+      return index < entries.length
+    },
+    /**
+     * @return {Array<Object>} [{ name, patches, inversePatches }]
+     */
+    get entries() {
+      return entries.slice()
+    },
+    undo() {
+      if (index === 0) return
+      index -= 1
+      apply(entries[index].inversePatches.slice().reverse())
+    },
+    redo() {
+      if (index === entries.length) return
+      apply(entries[index].patches)
+      index += 1
+    },
+    clear() {
+      entries = []
+      index = 0
+    },
+    stop,
+  }
+}
+
+module.exports = {
+  createHistory,
+  skipHistory,
+  recordSkipped,
+}
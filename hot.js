@@ -0,0 +1,357 @@
+/**
+ * @file hot swapping action & view classes on live state tree instances, for development
+ *
+ *   hot(id, factory)        registers a factory, or swaps it when the id is registered
+ *   swap(id, factory)       swaps the factory, returns { added, removed, changed }
+ *   onHotSwap(listener)     called with each report
+ *   memberCall(call)        an action call with the name of the member added by a swap
+ *
+ *   instances created with a hot factory call members through a stable wrapper,
+ *   swapping rebuilds the members of each live instance from the new class,
+ *   the snapshot state is untouched
+ *
+ * @example
+ *   const TodoActions = hot('todo.actions', self => class {
+ *     toggle() {
+ *       self.done = !self.done
+ *     }
+ *   })
+ *   const Todo = types.model({ done: false }).actions(TodoActions)
+ *
+ *   // re-running the module swaps the class of every live Todo
+ *   if (module.hot) module.hot.accept()
+ */
+const { ThislessError, ThislessInputError } = require('./errors')
+const { getSource } = require('./source')
+const { thisless, isUndefined, isPlainObject, isClassLike } = require('./index')
+const { mst, mobx } = require('./shared')
+
+/**
+ * @desc id => { id, factory, current, instances }
+ */
+const registry = new Map()
+
+/**
+ * @desc stable hot factory => its registry record
+ */
+const records = new WeakMap()
+
+/**
+ * @desc called with each report
+ */
+const listeners = new Set()
+
+/**
+ * @desc the hidden action running members added by a swap, on live instances
+ */
+const HOT_ACTION = 'hotAction'
+
+/**
+ * @param {string} entry
+ * @param {string} id
+ * @param {Function} factory
+ * @return {void}
+ */
+function assertHotArgs(entry, id, factory) {
+  if (typeof id !== 'string') {
+    throw new ThislessInputError({
+      entry,
+      value: id,
+      expected: 'a string id',
+      hint: `${entry}('todo.actions', self => class { ... })`,
+    })
+  }
+  if (typeof factory !== 'function') {
+    throw new ThislessInputError({
+      entry,
+      value: factory,
+      expected: 'a factory function',
+      hint: `${entry}('${id}', self => class { ... })`,
+    })
+  }
+}
+
+/**
+ * @param {*} factory
+ * @return {boolean}
+ */
+const isHot = factory => typeof factory === 'function' && records.has(factory)
+
+/**
+ * @desc the members of a factory, read with an empty self, for reports
+ * @param {Function} factory
+ * @return {Object} key => source of the member
+ */
+function shapeOf(factory) {
+  const shape = factory(Object.create(null))
+  const members = isClassLike(shape) ? thisless(shape) : shape
+  const sources = {}
+
+  if (isPlainObject(members)) {
+    Object.getOwnPropertyNames(members).forEach(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(members, key)
+      sources[key] = ['value', 'get', 'set']
+        .map(part =>
+          typeof descriptor[part] === 'function'
+            ? getSource(descriptor[part])
+            : ''
+        )
+        .join('\n')
+    })
+  }
+  return sources
+}
+
+/**
+ * @param {Object} before key => source
+ * @param {Object} after key => source
+ * @return {Object} { added, removed, changed }
+ */
+function diffShapes(before, after) {
+  const has = (shape, key) => Object.prototype.hasOwnProperty.call(shape, key)
+  return {
+    added: Object.keys(after).filter(key => !has(before, key)),
+    removed: Object.keys(before).filter(key => !has(after, key)),
+    changed: Object.keys(after).filter(
+      key => has(before, key) && before[key] !== after[key]
+    ),
+  }
+}
+
+/**
+ * @desc registers the factory under the id, and returns a stable factory calling it.
+ *       when the id is registered already, as when a module is run again by hmr,
+ *       the factory is swapped and the same stable factory returned
+ *
+ * @param {string} id unique per factory, 'todo.actions'
+ * @param {Function} factory self => class {}
+ * @return {Function} hot factory, for .actions & .views
+ */
+function hot(id, factory) {
+  assertHotArgs('hot', id, factory)
+  if (registry.has(id)) {
+    swap(id, factory)
+    return registry.get(id).factory
+  }
+
+  const record = { id, current: factory, instances: new Set() }
+  record.factory = $self => record.current($self)
+  registry.set(id, record)
+  records.set(record.factory, record)
+  return record.factory
+}
+
+/**
+ * @param {HotInstance} instance
+ * @param {string} key
+ * @return {PropertyDescriptor}
+ */
+function currentDescriptor(instance, key) {
+  const descriptor = Object.getOwnPropertyDescriptor(instance.members, key)
+  if (isUndefined(descriptor)) {
+    throw new ThislessError(
+      `thisless: ${key} was removed from ${instance.id} by a hot swap`,
+      { id: instance.id, key }
+    )
+  }
+  return descriptor
+}
+
+/**
+ * @desc calls the current member, so swapping changes what runs
+ *
+ * @param {HotInstance} instance
+ * @param {string} key
+ * @param {PropertyDescriptor} descriptor of the first build
+ * @return {PropertyDescriptor}
+ */
+function trampoline(instance, key, descriptor) {
+  if (typeof descriptor.value === 'function') {
+    return {
+      value: (...args) => currentDescriptor(instance, key).value(...args),
+      writable: true,
+      configurable: true,
+      enumerable: descriptor.enumerable,
+    }
+  }
+  if (!descriptor.get && !descriptor.set) return descriptor
+
+  // computed views are told the getter changed through the atom
+  return {
+    get() {
+      instance.atom.reportObserved()
+      const { get } = currentDescriptor(instance, key)
+      return isUndefined(get) ? undefined : get()
+    },
+    set(value) {
+      const { set } = currentDescriptor(instance, key)
+      if (!isUndefined(set)) set(value)
+    },
+    configurable: true,
+    enumerable: descriptor.enumerable,
+  }
+}
+
+/**
+ * @desc members for one instance that call the current build,
+ *       used by .actions & .views for hot factories
+ *
+ * @param {Function} factory hot factory
+ * @param {MobxStateTree.Instance} $self
+ * @param {string} kind actions | views
+ * @param {Function} build implementation => members, the same steps as without hot
+ * @return {Object} members
+ */
+function hotMembers(factory, $self, kind, build) {
+  const record = records.get(factory)
+  const instance = {
+    id: record.id,
+    self: $self,
+    kind,
+    build,
+    members: build(record.current),
+    atom: mobx().createAtom(record.id),
+  }
+  record.instances.add(new WeakRef(instance))
+
+  const members = Object.create(null)
+  Object.getOwnPropertyNames(instance.members).forEach(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(instance.members, key)
+    Object.defineProperty(members, key, trampoline(instance, key, descriptor))
+  })
+
+  if (kind === 'actions') {
+    Object.defineProperty(members, HOT_ACTION, {
+      value: (key, ...args) => currentDescriptor(instance, key).value(...args),
+      writable: true,
+      configurable: true,
+    })
+  }
+
+  // the trampolines keep the instance alive as long as the node
+  return members
+}
+
+/**
+ * @desc defines members added by a swap on a live instance,
+ *       actions run through the hidden hotAction so they can change state
+ *
+ * @param {HotInstance} instance
+ * @param {Array<string>} added
+ * @return {void}
+ */
+function defineAdded(instance, added) {
+  const { self } = instance
+  const root = mst().getRoot(self)
+  const wasProtected = mst().isProtected(root)
+  if (wasProtected) mst().unprotect(root)
+
+  try {
+    added
+      .filter(key => !(key in self))
+      .forEach(key => {
+        const descriptor = currentDescriptor(instance, key)
+        const defined =
+          instance.kind === 'actions' && typeof descriptor.value === 'function'
+            ? {
+                value: (...args) => self[HOT_ACTION](key, ...args),
+                writable: true,
+                configurable: true,
+              }
+            : trampoline(instance, key, descriptor)
+        Object.defineProperty(
+          self,
+          key,
+          Object.assign(defined, { enumerable: false })
+        )
+      })
+  } finally {
+    if (wasProtected) mst().protect(root)
+  }
+}
+
+/**
+ * @desc the call of a member added by a swap, instead of the hotAction running it,
+ *       for the action log, history & devtools. applyAction replays it by name
+ *
+ * @param {Object} call mst action call, { name, args, ... }
+ * @return {Object} the call, or a copy with the member's name & args
+ *
+ * @example
+ *   memberCall({ name: 'hotAction', args: ['rename', 'eh'], path: '' })
+ *   //=> { name: 'rename', args: ['eh'], path: '' }
+ */
+function memberCall(call) {
+  if (call.name !== HOT_ACTION) return call
+  const [name, ...args] = call.args
+  return Object.assign({}, call, { name, args })
+}
+
+/**
+ * @desc swaps the factory of a hot id, rebuilds the members of each live instance
+ *
+ * @param {string} id
+ * @param {Function} factory self => class {}
+ * @return {HotSwapReport} { id, added, removed, changed, instances }
+ */
+function swap(id, factory) {
+  assertHotArgs('swap', id, factory)
+  const record = registry.get(id)
+  if (isUndefined(record)) {
+    throw new ThislessInputError({
+      entry: 'swap',
+      value: id,
+      expected: 'the id of a hot factory',
+      hint: `hot('${id}', self => class { ... }) first`,
+    })
+  }
+
+  const report = Object.assign(
+    { id },
+    diffShapes(shapeOf(record.current), shapeOf(factory))
+  )
+  record.current = factory
+
+  let instances = 0
+  record.instances.forEach(ref => {
+    const instance = ref.deref()
+    if (isUndefined(instance) || !mst().isAlive(instance.self)) {
+      record.instances.delete(ref)
+      return
+    }
+
+    instance.members = instance.build(factory)
+    defineAdded(instance, report.added)
+    instance.atom.reportChanged()
+    instances += 1
+  })
+
+  report.instances = instances
+  listeners.forEach(listener => listener(report))
+  return report
+}
+
+/**
+ * @param {Function} listener report => void
+ * @return {Function} stop listening
+ */
+function onHotSwap(listener) {
+  if (typeof listener !== 'function') {
+    throw new ThislessInputError({
+      entry: 'onHotSwap',
+      value: listener,
+      expected: 'a listener function',
+    })
+  }
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+module.exports = {
+  hot,
+  swap,
+  onHotSwap,
+  isHot,
+  hotMembers,
+  memberCall,
+}
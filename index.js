@@ -42,6 +42,11 @@
  *       },
  *     }
  *   }
+ */
+const { hasOwnConstructor, isClassSource } = require('./source')
+const { checkThis } = require('./checkThis')
+const { intercept } = require('./intercept')
+const { ThislessInputError, SelflessFactoryError } = require('./errors')
 
 /**
  * @param {*}
@@ -59,6 +64,50 @@ function isPlainObject(value) {
   return proto === Object.prototype || proto === null
 }
 
+/**
+ * @param {*} value 
+ * @return {boolean} 
+ */
+const isObjectLike = value =>
+  value !== null && (typeof value === 'object' || typeof value === 'function')
+
+/**
+ * @desc classes & functions that have a prototype to copy from
+ * @param {*} value 
+ * @return {boolean} 
+ */
+const isClassLike = value =>
+  typeof value === 'function' && isObjectLike(value.prototype)
+
+/**
+ * @param {string} entry name of the function validating
+ * @param {*} options 
+ * @return {void}
+ */
+function assertOptions(entry, options) {
+  if (!isUndefined(options) && !isPlainObject(options)) {
+    throw new ThislessInputError({
+      entry,
+      value: options,
+      expected: 'options to be a plain object',
+    })
+  }
+}
+
+/**
+ * @param {*} value 
+ * @return {string | undefined} 
+ */
+function hintForNonClass(value) {
+  if (typeof value === 'function') {
+    return 'arrow functions have no prototype, for self => class {} use selfless(fn, self)'
+  }
+  if (isObjectLike(value)) {
+    return 'pass the class itself, not an instance of it'
+  }
+  return 'wrap the members in a class, thisless(class { ... })'
+}
+
 const NATIVE_PROPS_NON_ENUMERABLE = Object.freeze([
   '__defineGetter__',
   '__defineSetter__',
@@ -94,22 +143,794 @@ const getOwnPrototypeNames = obj =>
   Object.getOwnPropertyNames(obj).filter(nameIsNotNative)
 
 /**
- * @desc takes all prototype methods, 
+ * @desc strings & symbols match by equality, regexes test string keys,
+ *       predicates receive the key, arrays match when any of them match
+ * 
+ * @param {MemberMatcher | Array<MemberMatcher>} matcher 
+ * @param {string | symbol} key 
+ * @return {boolean} 
+ */
+function matchesMember(matcher, key) {
+  if (Array.isArray(matcher)) {
+    return matcher.some(nested => matchesMember(nested, key))
+  }
+  if (matcher instanceof RegExp) {
+    matcher.lastIndex = 0
+    return typeof key === 'string' && matcher.test(key)
+  }
+  if (typeof matcher === 'function') return Boolean(matcher(key))
+  return matcher === key
+}
+
+/**
+ * @desc what to do with members matching privatePrefix
+ *       hidden: copied as non-enumerable
+ *       drop: not copied
+ */
+const PRIVATE_MEMBER_POLICIES = Object.freeze(['hidden', 'drop'])
+
+/**
+ * @desc decides which members get copied, and which are copied non-enumerable
+ *       native members are never copied unless they match `include`
+ * 
+ * @param {Object} [options={}] 
+ * @param {MemberMatcher | Array<MemberMatcher>} [options.include] only copy matching members
+ * @param {MemberMatcher | Array<MemberMatcher>} [options.exclude] never copy matching members
+ * @param {string} [options.privatePrefix] e.g. '_' for `_helper()`
+ * @param {string} [options.privateMembers='hidden'] hidden | drop
+ * @return {MemberFilter} { includes(key), hides(key) }
+ * 
+ * @example
+ *   const filter = createMemberFilter({ exclude: /^debug/, privatePrefix: '_' })
+ *   filter.includes('debugLog') //=> false
+ *   filter.includes('_helper') //=> true
+ *   filter.hides('_helper') //=> true
+ */
+function createMemberFilter(options = {}) {
+  const { include, exclude, privatePrefix, privateMembers = 'hidden' } = options
+
+  if (!PRIVATE_MEMBER_POLICIES.includes(privateMembers)) {
+    throw new ThislessInputError({
+      entry: 'thisless',
+      value: privateMembers,
+      expected: `privateMembers to be ${PRIVATE_MEMBER_POLICIES.join(' or ')}`,
+    })
+  }
+
+  const isPrivate = key =>
+    !isUndefined(privatePrefix) &&
+    typeof key === 'string' &&
+    key.startsWith(privatePrefix)
+
+  const includes = key => {
+    const isIncluded = isUndefined(include)
+      ? nameIsNotNative(key)
+      : matchesMember(include, key)
+
+    if (!isIncluded) return false
+    if (!isUndefined(exclude) && matchesMember(exclude, key)) return false
+    return !(privateMembers === 'drop' && isPrivate(key))
+  }
+  const hides = key => privateMembers === 'hidden' && isPrivate(key)
+
+  return { includes, hides }
+}
+
+/**
+ * @desc every well-known symbol, Symbol.iterator, Symbol.toPrimitive...
+ */
+const WELL_KNOWN_SYMBOLS = Object.freeze(
+  Object.getOwnPropertyNames(Symbol)
+    .map(name => Symbol[name])
+    .filter(value => typeof value === 'symbol')
+)
+
+/**
+ * @desc well-known symbols only used on constructors,
+ *       meaningless on a null-prototype object
+ */
+const CONSTRUCTOR_ONLY_SYMBOLS = Object.freeze([
+  Symbol.hasInstance,
+  Symbol.species,
+])
+
+/**
+ * @desc policies for well-known symbols
+ *       safe: everything except CONSTRUCTOR_ONLY_SYMBOLS
+ *       all: every well-known symbol
+ *       none: no well-known symbols
+ */
+const WELL_KNOWN_SYMBOL_POLICIES = Object.freeze({
+  safe: symbol => !CONSTRUCTOR_ONLY_SYMBOLS.includes(symbol),
+  all: () => true,
+  none: () => false,
+})
+
+/**
+ * @param {string | Function} [policy='safe'] name or predicate
+ * @return {Function} symbol => boolean
+ */
+function symbolIsAllowed(policy = 'safe') {
+  const isAllowed =
+    typeof policy === 'function' ? policy : WELL_KNOWN_SYMBOL_POLICIES[policy]
+
+  if (isUndefined(isAllowed)) {
+    throw new ThislessInputError({
+      entry: 'thisless',
+      value: policy,
+      expected: 'wellKnownSymbols to be one of safe, all, none or a function',
+    })
+  }
+
+  return symbol => !WELL_KNOWN_SYMBOLS.includes(symbol) || isAllowed(symbol)
+}
+
+/**
+ * @desc gets own property names and symbols, filters out native methods,
+ *       members not allowed by the member filter
+ *       and well-known symbols not allowed by the policy
+ * 
+ * @see createMemberFilter
+ * @param {Object} obj 
+ * @param {Object} [options={}] 
+ * @param {string | Function} [options.wellKnownSymbols='safe'] 
+ * @return {Array<string | symbol>} 
+ */
+function getOwnPrototypeKeys(obj, options = {}) {
+  const symbols = Object.getOwnPropertySymbols(obj).filter(
+    symbolIsAllowed(options.wellKnownSymbols)
+  )
+  return Object.getOwnPropertyNames(obj)
+    .concat(symbols)
+    .filter(createMemberFilter(options).includes)
+}
+
+/**
+ * @desc walks up the prototypes until Object.prototype,
+ *       base first so that subclass members override base members
+ * 
+ * @param {Object} obj 
+ * @return {Array<Object>} 
+ * @example
+ *   class Base {}
+ *   class Sub extends Base {}
+ *   getPrototypeChain(Sub.prototype)
+ *   //=> [Base.prototype, Sub.prototype]
+ */
+function getPrototypeChain(obj) {
+  const chain = []
+  let proto = obj
+  while (proto !== null && proto !== Object.prototype) {
+    chain.unshift(proto)
+    proto = Object.getPrototypeOf(proto)
+  }
+  return chain
+}
+
+/**
+ * @desc non-enumerable reference from a blank object
+ *       to the blank object of the prototype it extends
+ * @see superOf
+ */
+const SUPER = Symbol('thisless.super')
+
+/**
+ * @desc non-enumerable metadata of a blank object, read with describe
+ * @see describe
+ */
+const META = Symbol('thisless.meta')
+
+/**
+ * @desc non-enumerable prototype chain a selfless blank object was copied from,
+ *       describe reads its metadata from it
+ * @see describe
+ */
+const CHAIN = Symbol('thisless.chain')
+
+/**
+ * @desc node's util.inspect calls this instead of listing the members
+ */
+const INSPECT = Symbol.for('nodejs.util.inspect.custom')
+
+/**
+ * @desc Symbol.toStringTag getters defined for metadata,
+ *       told apart from a Symbol.toStringTag member of the class
+ */
+const metadataTags = new WeakSet()
+
+/**
+ * @desc used when no options are passed, so cached layouts can match by identity
+ */
+const EMPTY_OPTIONS = Object.freeze({})
+
+/**
+ * @desc layouts for toBlankObj & thisless, keyed by the prototype
+ */
+const layoutsByPrototype = new WeakMap()
+
+/**
+ * @desc prototype of a class made by toClass => keys hidden on its blank object,
+ *       so converting it back hides them again
+ */
+const hiddenByPrototype = new WeakMap()
+
+/**
+ * @desc layout caches for selfless, keyed by the factory,
+ *       then by the key counts since each call makes a fresh class
+ */
+const layoutsByFactory = new WeakMap()
+
+/**
+ * @desc which member of which prototype in the chain to copy, & how,
+ *       subclass members keep the position of the base member they override
+ * 
+ * @param {Array<Object>} chain from getPrototypeChain
+ * @param {Object} options 
+ * @return {Array<LayoutEntry>} [{ depth, key, enumerable }]
+ */
+function getBlankLayout(chain, options) {
+  const { hides } = createMemberFilter(options)
+  const entries = new Map()
+
+  chain.forEach((proto, depth) => {
+    const hidden = hiddenByPrototype.get(proto)
+    getOwnPrototypeKeys(proto, options).forEach(key => {
+      const enumerable = !hides(key) && !(hidden && hidden.has(key))
+      if (entries.has(key)) {
+        Object.assign(entries.get(key), { depth, enumerable })
+      } else {
+        entries.set(key, { depth, key, enumerable })
+      }
+    })
+  })
+
+  return Array.from(entries.values())
+}
+
+/**
+ * @param {Array<Object>} chain 
+ * @return {Array<number>} number of own keys of each prototype
+ */
+const countKeys = chain => chain.map(proto => Reflect.ownKeys(proto).length)
+
+/**
+ * @param {Array<Object>} chain 
+ * @param {Object} options 
+ * @param {LayoutCache} [cache] { map, keyOf(chain), isFresh(cached, chain), perInstance }
+ * @return {Array<LayoutEntry>} 
+ */
+function getCachedBlankLayout(chain, options, cache) {
+  if (isUndefined(cache) || options.cache === false) {
+    return getBlankLayout(chain, options)
+  }
+
+  const cacheKey = cache.keyOf(chain)
+  const cached = cache.map.get(cacheKey)
+  if (
+    !isUndefined(cached) &&
+    cached.options === options &&
+    cached.counts.length === chain.length &&
+    cache.isFresh(cached, chain)
+  ) {
+    return cached.layout
+  }
+
+  const layout = getBlankLayout(chain, options)
+  cache.map.set(cacheKey, { options, counts: countKeys(chain), layout })
+  return layout
+}
+
+/**
+ * @param {Object} cached 
+ * @param {Array<Object>} chain 
+ * @return {boolean} each prototype has as many keys as when it was cached
+ */
+const hasSameCounts = (cached, chain) =>
+  countKeys(chain).every((count, depth) => count === cached.counts[depth])
+
+/**
+ * @desc for prototypes converted more than once, thisless(SameClass),
+ *       the prototype could have changed since, so the keys are counted again
+ */
+const prototypeLayoutCache = {
+  map: layoutsByPrototype,
+  keyOf: chain => chain[chain.length - 1],
+  isFresh: hasSameCounts,
+}
+
+/**
+ * @desc for factories returning a fresh class every call, selfless(factory),
+ *       keyed by the number of keys of each prototype, without reading the source
+ *       of each fresh class. mixin bases & computed keys can change the members,
+ *       a count that changes is another layout,
+ *       a key that went missing with the same count is caught by createBlankObj.
+ *       one blank object is made per instance, so they skip the metadata
+ *       properties, describe still reads them
+ * @param {Function} factory 
+ * @return {LayoutCache} 
+ */
+function factoryLayoutCache(factory) {
+  if (!layoutsByFactory.has(factory)) {
+    layoutsByFactory.set(factory, {
+      map: new Map(),
+      keyOf: chain => countKeys(chain).join(),
+      isFresh: () => true,
+      perInstance: true,
+    })
+  }
+  return layoutsByFactory.get(factory)
+}
+
+/**
+ * @desc takes all prototype methods, including inherited ones,
  *       sets them all to enumerable
  *       creates a blank object
  *       defines the enumerable methods on a blank object 
  * 
+ *       which members to copy (the layout) is cached per prototype
+ * 
  * @param {Object} obj 
+ * @param {Object} [options={}] 
+ * @param {string | Function} [options.wellKnownSymbols='safe'] 
+ *        which well-known symbols to copy, custom symbols are always copied
+ * @param {boolean} [options.cache=true] 
+ * @param {Interceptor | Array<Interceptor>} [options.intercept] 
+ *        replaces each method, getter & setter, see ./intercept
  * @return {BlankObject} 
  * @example Object.create(null, descriptors(obj))
  */
-function toBlankObj(obj) {
+function toBlankObj(obj, options = EMPTY_OPTIONS) {
+  if (!isObjectLike(obj)) {
+    throw new ThislessInputError({
+      entry: 'toBlankObj',
+      value: obj,
+      expected: 'an object to copy members from',
+      hint: 'for classes use thisless(_class)',
+    })
+  }
+  assertOptions('toBlankObj', options)
+
+  const blankObj = createBlankObj(obj, options, prototypeLayoutCache)
+  return interceptMembers(blankObj, options)
+}
+
+/**
+ * @desc copies the members in the layout,
+ *       recomputing it when a member went missing, such as a computed key changing
+ * 
+ * @see toBlankObj
+ * @param {Object} obj 
+ * @param {Object} options 
+ * @param {LayoutCache} [cache] 
+ * @return {BlankObject} 
+ */
+function createBlankObj(obj, options, cache) {
+  const chain = getPrototypeChain(obj)
+  const layout = getCachedBlankLayout(chain, options, cache)
   const blankObj = Object.create(null)
 
-  getOwnPrototypeNames(obj).forEach(key => {
-    const descriptor = Object.getOwnPropertyDescriptor(obj, key)
-    descriptor.enumerable = true
+  for (let index = 0; index < layout.length; index++) {
+    const { depth, key, enumerable } = layout[index]
+    const descriptor = Object.getOwnPropertyDescriptor(chain[depth], key)
+
+    if (isUndefined(descriptor)) {
+      cache.map.delete(cache.keyOf(chain))
+      return createBlankObj(obj, options, cache)
+    }
+
+    // faster than collecting descriptors for one Object.create, see bench.js
+    descriptor.enumerable = enumerable
     Object.defineProperty(blankObj, key, descriptor)
+  }
+
+  // lazy, most blank objects never ask for their base
+  if (chain.length > 1) {
+    const parent = chain[chain.length - 2]
+    let superBlankObj
+    Object.defineProperty(blankObj, SUPER, {
+      enumerable: false,
+      get() {
+        if (isUndefined(superBlankObj)) {
+          superBlankObj = createBlankObj(parent, options)
+        }
+        return superBlankObj
+      },
+    })
+  }
+
+  // selfless makes one per instance, only describe reads their metadata.
+  // a property is cheaper than a WeakMap entry for each of them, see bench.js
+  if (cache && cache.perInstance) {
+    return Object.defineProperty(blankObj, CHAIN, { value: chain })
+  }
+  metadataSources.set(blankObj, chain)
+  return defineMetadata(blankObj)
+}
+
+/**
+ * @desc the kind of member a descriptor is
+ * @param {PropertyDescriptor} descriptor 
+ * @return {string} method | getter | setter | getter+setter | field
+ */
+function kindOf(descriptor) {
+  const { get, set, value } = descriptor
+  if (get && set) return 'getter+setter'
+  if (get) return 'getter'
+  if (set) return 'setter'
+  return typeof value === 'function' ? 'method' : 'field'
+}
+
+/**
+ * @param {Object} proto 
+ * @return {string | undefined} name of the class the prototype belongs to
+ */
+const classNameOf = proto =>
+  Object.prototype.hasOwnProperty.call(proto, 'constructor') &&
+  typeof proto.constructor === 'function'
+    ? proto.constructor.name || undefined
+    : undefined
+
+/**
+ * @desc own keys of a blank object without SUPER & the metadata
+ * 
+ * @param {BlankObject} blankObj 
+ * @return {Array<string | symbol>} 
+ */
+function getMemberKeys(blankObj) {
+  return Reflect.ownKeys(blankObj).filter(key => {
+    if (key === SUPER || key === CHAIN || key === META) return false
+    if (key === INSPECT) {
+      return Object.getOwnPropertyDescriptor(blankObj, key).value !== inspectThis
+    }
+    if (key !== Symbol.toStringTag) return true
+    const { get } = Object.getOwnPropertyDescriptor(blankObj, key)
+    return !metadataTags.has(get)
+  })
+}
+
+/**
+ * @desc which class each member came from, for describe
+ * 
+ * @param {BlankObject} blankObj 
+ * @param {Array<Object>} chain prototypes it was copied from, base first
+ * @return {BlankObjectMetadata} 
+ */
+function describeMembers(blankObj, chain) {
+  // toBlankObj(instance) has the instance last, named by its class
+  let ownDepth = chain.length - 1
+  while (ownDepth > 0 && isUndefined(classNameOf(chain[ownDepth]))) ownDepth--
+  const name = classNameOf(chain[ownDepth])
+
+  const members = getMemberKeys(blankObj).map(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(blankObj, key)
+    let depth = chain.length - 1
+    const isOn = proto => Object.prototype.hasOwnProperty.call(proto, key)
+    while (depth >= 0 && !isOn(chain[depth])) depth--
+
+    // fields & statics are not on the prototypes, reported as the class's own
+    const isOwn = depth < 0 || depth >= ownDepth
+    return {
+      key,
+      kind: kindOf(descriptor),
+      origin: isOwn ? 'own' : 'base',
+      from: isOwn ? name : classNameOf(chain[depth]),
+      enumerable: descriptor.enumerable,
+    }
+  })
+
+  return Object.freeze({ name, members: Object.freeze(members) })
+}
+
+/**
+ * @param {BlankObject} blankObj 
+ * @param {Object} options of util.inspect
+ * @param {Function} inspect util.inspect
+ * @return {string} 
+ */
+function inspectBlankObj(blankObj, options, inspect) {
+  const { name, members } = metadataOf(blankObj)
+  const entries = members.map(({ key, kind, origin, from }) => {
+    const label = typeof key === 'symbol' ? `[${String(key)}]` : key
+    if (kind === 'field') return `${label}: ${inspect(blankObj[key], options)}`
+    return origin === 'base' && !isUndefined(from)
+      ? `${label}: [${kind} from ${from}]`
+      : `${label}: [${kind}]`
+  })
+
+  const title = `${name || 'BlankObject'} [thisless]`
+  return entries.length === 0
+    ? `${title} {}`
+    : `${title} { ${entries.join(', ')} }`
+}
+
+/**
+ * @desc blank object => the chain it was copied from, or CHAIN for selfless ones,
+ *       replaced by its metadata the first time it is read
+ */
+const metadataSources = new WeakMap()
+
+/**
+ * @param {BlankObject} blankObj 
+ * @return {BlankObjectMetadata | undefined} 
+ */
+function metadataOf(blankObj) {
+  const source = metadataSources.has(blankObj)
+    ? metadataSources.get(blankObj)
+    : blankObj[CHAIN]
+  if (!Array.isArray(source)) return source
+
+  const metadata = describeMembers(blankObj, source)
+  metadataSources.set(blankObj, metadata)
+  return metadata
+}
+
+/**
+ * @desc shared by every blank object, the chain is looked up by `this`
+ * @return {BlankObjectMetadata | undefined} 
+ */
+function getMetadata() {
+  return metadataOf(this)
+}
+
+/**
+ * @return {string} 
+ */
+function getTag() {
+  const metadata = metadataOf(this)
+  return (metadata && metadata.name) || 'BlankObject'
+}
+metadataTags.add(getTag)
+
+/**
+ * @param {number} depth 
+ * @param {Object} options of util.inspect
+ * @param {Function} [inspect] util.inspect
+ * @return {string} 
+ */
+function inspectThis(depth, options, inspect) {
+  return inspectBlankObj(this, options, inspect || require('util').inspect)
+}
+
+const metaDescriptor = { enumerable: false, get: getMetadata }
+const tagDescriptor = { enumerable: false, get: getTag }
+const inspectDescriptor = { enumerable: false, value: inspectThis }
+
+/**
+ * @desc non-enumerable & lazy, so Object.keys stays the members
+ *       and nothing is computed until something asks.
+ *       the accessors are shared by every blank object
+ * 
+ * @param {BlankObject} blankObj 
+ * @return {BlankObject} 
+ */
+function defineMetadata(blankObj) {
+  Object.defineProperty(blankObj, META, metaDescriptor)
+
+  // a Symbol.toStringTag of the class wins
+  if (!Object.prototype.hasOwnProperty.call(blankObj, Symbol.toStringTag)) {
+    Object.defineProperty(blankObj, Symbol.toStringTag, tagDescriptor)
+  }
+
+  // so does an inspect member
+  if (!Object.prototype.hasOwnProperty.call(blankObj, INSPECT)) {
+    Object.defineProperty(blankObj, INSPECT, inspectDescriptor)
+  }
+  return blankObj
+}
+
+/**
+ * @desc the class name, and the kind & origin of each member of a blank object,
+ *       objects not made by thisless are described from their own members
+ * 
+ * @param {BlankObject | Object} blankObj 
+ * @return {BlankObjectMetadata} { name, members: [{ key, kind, origin, from, enumerable }] }
+ * @example
+ *   class Base { moose() {} }
+ *   describe(thisless(class Eh extends Base { get aboot() { return 1 } }))
+ *   //=> { name: 'Eh', members: [
+ *   //     { key: 'moose', kind: 'method', origin: 'base', from: 'Base', enumerable: true },
+ *   //     { key: 'aboot', kind: 'getter', origin: 'own', from: 'Eh', enumerable: true },
+ *   //   ] }
+ */
+function describe(blankObj) {
+  if (!isObjectLike(blankObj)) {
+    throw new ThislessInputError({
+      entry: 'describe',
+      value: blankObj,
+      expected: 'a blank object',
+      hint: 'describe(thisless(Class))',
+    })
+  }
+  const metadata = metadataOf(blankObj)
+  return isUndefined(metadata)
+    ? describeMembers(blankObj, [blankObj])
+    : metadata
+}
+
+/**
+ * @desc runs the interceptors over the members, not the link to the base or metadata,
+ *       after checkThis so it reads the original source
+ * 
+ * @param {BlankObject} blankObj 
+ * @param {Object} options 
+ * @return {BlankObject} 
+ */
+function interceptMembers(blankObj, options) {
+  if (isUndefined(options.intercept)) return blankObj
+
+  return intercept(blankObj, options.intercept, getMemberKeys(blankObj))
+}
+
+/**
+ * @desc the flattened base of a blank object,
+ *       for calling an overridden implementation from outside the class
+ *       (inside the class, `super.method()` keeps working)
+ * 
+ * @param {BlankObject} blankObj 
+ * @return {BlankObject | undefined} 
+ * @example
+ *   const Base = class { moose() { return 'base' } }
+ *   const blank = thisless(class extends Base { moose() { return 'sub' } })
+ *   superOf(blank).moose()
+ *   //=> 'base'
+ */
+function superOf(blankObj) {
+  if (!isObjectLike(blankObj)) {
+    throw new ThislessInputError({
+      entry: 'superOf',
+      value: blankObj,
+      expected: 'a blank object',
+    })
+  }
+  return blankObj[SUPER]
+}
+
+/**
+ * @desc constructors from the class up to its base class, base first
+ * @param {Class} _class 
+ * @return {Array<Class>} 
+ */
+function getConstructorChain(_class) {
+  const chain = []
+  let ctor = _class
+  while (typeof ctor === 'function' && ctor !== Function.prototype) {
+    chain.unshift(ctor)
+    ctor = Object.getPrototypeOf(ctor)
+  }
+  return chain
+}
+
+/**
+ * @desc class fields only exist on instances,
+ *       so this creates a throwaway instance to read them from.
+ *       only classes where every constructor is the implicit one are allowed,
+ *       since then field initializers are the only code that runs
+ * 
+ * @throws {ThislessInputError} when a class in the chain has its own constructor
+ * 
+ * @param {Class} _class 
+ * @return {Object} instance holding only the fields
+ * @example
+ *   getInstanceFields(class { eh = () => self })
+ *   //=> { eh: [Function eh] }
+ */
+function getInstanceFields(_class) {
+  if (!isClassLike(_class)) {
+    throw new ThislessInputError({
+      entry: 'getInstanceFields',
+      value: _class,
+      expected: 'a class',
+      hint: hintForNonClass(_class),
+    })
+  }
+
+  getConstructorChain(_class).forEach(ctor => {
+    if (hasOwnConstructor(ctor)) {
+      const name = ctor.name || 'anonymous class'
+      throw new ThislessInputError({
+        entry: 'thisless',
+        value: ctor,
+        expected:
+          'classes without their own constructor when collecting fields',
+        hint: `the constructor of ${name} would run, move its setup out or drop the fields option`,
+      })
+    }
+  })
+
+  return Reflect.construct(_class, [])
+}
+
+/**
+ * @param {BlankObject} blankObj 
+ * @param {Class} _class 
+ * @param {Object} options same options as thisless
+ * @return {BlankObject} 
+ */
+function defineFields(blankObj, _class, options) {
+  const fields = getInstanceFields(_class)
+  const { hides } = createMemberFilter(options)
+
+  getOwnPrototypeKeys(fields, options).forEach(key => {
+    Object.defineProperty(blankObj, key, {
+      value: fields[key],
+      writable: true,
+      configurable: true,
+      enumerable: !hides(key),
+    })
+  })
+
+  return blankObj
+}
+
+/**
+ * @desc only the class fields, as a blank object
+ * 
+ * @see getInstanceFields
+ * @param {Class} _class 
+ * @param {Object} [options] filtering options, same as thisless
+ * @return {BlankObject} 
+ * @example
+ *   fieldsOf(class { eh = 1; moose() {} })
+ *   //=> { eh: 1 }
+ */
+function fieldsOf(_class, options = EMPTY_OPTIONS) {
+  assertOptions('fieldsOf', options)
+  return defineFields(Object.create(null), _class, options)
+}
+
+/**
+ * @desc `name` & `length` every function has,
+ *       a `static name = 'Eh'` is writable so it is kept
+ * 
+ * @param {string | symbol} key 
+ * @param {PropertyDescriptor} descriptor 
+ * @return {boolean} 
+ */
+const isNativeFunctionProp = (key, descriptor) =>
+  (key === 'name' || key === 'length') && descriptor.writable === false
+
+/**
+ * @desc defines static members of the class (and its bases) on the blank object,
+ *       static classes become nested blank objects,
+ *       a class referring back to one being converted gets its blank object,
+ *       `static Self = Api` is the blank object itself
+ * 
+ * @param {BlankObject} blankObj 
+ * @param {Class} _class 
+ * @param {Object} options same options as thisless
+ * @param {Map<Class, BlankObject>} [converting] classes being converted
+ * @return {BlankObject} 
+ * @example
+ *   class Api {
+ *     static users = class {
+ *       fetch() {}
+ *     }
+ *   }
+ *   thisless(Api, { statics: true }).users.fetch
+ *   //=> [Function fetch]
+ */
+function defineStatics(
+  blankObj,
+  _class,
+  options,
+  converting = new Map([[_class, blankObj]])
+) {
+  const { hides } = createMemberFilter(options)
+
+  getConstructorChain(_class).forEach(ctor => {
+    getOwnPrototypeKeys(ctor, options).forEach(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(ctor, key)
+      if (isNativeFunctionProp(key, descriptor)) return
+
+      const { value } = descriptor
+      if (typeof value === 'function' && isClassSource(value)) {
+        descriptor.value = converting.has(value)
+          ? converting.get(value)
+          : classToBlankObj(value, options, prototypeLayoutCache, converting)
+      }
+      descriptor.enumerable = !hides(key)
+      Object.defineProperty(blankObj, key, descriptor)
+    })
   })
 
   return blankObj
@@ -118,27 +939,106 @@ function toBlankObj(obj) {
 /**
  * @see toBlankObj
  * @param {Class} _class 
+ * @param {Object} [options={}] 
+ * @param {boolean} [options.fields=false] 
+ *        include class fields, they override prototype members of the same name
+ *        the same way an instance field shadows a prototype getter
+ * @param {string | Function} [options.wellKnownSymbols='safe'] 
+ * @param {boolean} [options.statics=false] 
+ *        include static members, they override prototype members & fields,
+ *        static classes are converted into nested blank objects
+ * @param {MemberMatcher | Array<MemberMatcher>} [options.include] 
+ * @param {MemberMatcher | Array<MemberMatcher>} [options.exclude] 
+ * @param {string} [options.privatePrefix] 
+ * @param {string} [options.privateMembers='hidden'] 
+ * @param {string} [options.checkThis] 
+ *        warn | throw | bind, for development, reports members using this or super
+ * @param {boolean} [options.cache=true] reuse the layout of the class
+ * @param {Interceptor | Array<Interceptor>} [options.intercept] 
+ *        ({ key, kind, fn, target }) => replacement, for binding, tracing or catching
  * @return {BlankObject}
  */
-function thisless(_class) {
+function thisless(_class, options = EMPTY_OPTIONS) {
+  assertOptions('thisless', options)
+
   if (!isPlainObject(_class)) {
-    return toBlankObj(_class.prototype)
+    if (!isClassLike(_class)) {
+      throw new ThislessInputError({
+        entry: 'thisless',
+        value: _class,
+        expected: 'a class or plain object',
+        hint: hintForNonClass(_class),
+      })
+    }
+
+    return classToBlankObj(_class, options, prototypeLayoutCache)
   }
   return _class
 }
 
+/**
+ * @see thisless
+ * @param {Class} _class 
+ * @param {Object} options 
+ * @param {LayoutCache} cache 
+ * @param {Map<Class, BlankObject>} [converting] see defineStatics
+ * @return {BlankObject} 
+ */
+function classToBlankObj(_class, options, cache, converting = new Map()) {
+  const blankObj = createBlankObj(_class.prototype, options, cache)
+  if (options.fields === true) {
+    defineFields(blankObj, _class, options)
+  }
+  if (options.statics === true) {
+    converting.set(_class, blankObj)
+    defineStatics(blankObj, _class, options, converting)
+  }
+  if (!isUndefined(options.checkThis)) {
+    checkThis(blankObj, options.checkThis, _class.name)
+  }
+  return interceptMembers(blankObj, options)
+}
+
+/**
+ * @desc calls the selfless factory, checks what it returned before converting,
+ *       layouts are cached per factory since every call returns a fresh class
+ * 
+ * @throws {SelflessFactoryError} 
+ * @param {Function} fn 
+ * @param {Object} $self 
+ * @param {Object} [options=EMPTY_OPTIONS] 
+ * @return {BlankObject} 
+ */
+function thislessFromFactory(fn, $self, options = EMPTY_OPTIONS) {
+  const _class = fn($self)
+
+  if (!isPlainObject(_class) && !isClassLike(_class)) {
+    throw new SelflessFactoryError({
+      factory: fn,
+      value: _class,
+      hint: isUndefined(_class)
+        ? 'return the class from the factory, self => class { ... }'
+        : hintForNonClass(_class),
+    })
+  }
+
+  if (isPlainObject(_class)) return _class
+  return classToBlankObj(_class, options, factoryLayoutCache(fn))
+}
+
 /**
  * @param {Function} fn scoped reference that receives $this
  * @param {Object} self $this
+ * @param {Object} [options] passed to thisless
  * @return {ClassPlainObj}
  * 
  * @curried 2
  * 
  * @example 
  * 
- *   self => class { 
+ *   selfless(self => class { 
  *     eh = () => self
- *   }
+ *   }, $self, { fields: true })
  *  
  *   //=> const blank = Object.create(null)
  *   //=> blank.eh = () => self
@@ -153,25 +1053,110 @@ function thisless(_class) {
  *    //=> ['eh']
  * 
  */
-function selfless(fn, $self) {
+function selfless(fn, $self, options) {
+  if (typeof fn !== 'function') {
+    throw new ThislessInputError({
+      entry: 'selfless',
+      value: fn,
+      expected: 'a factory function',
+      hint: 'selfless(self => class { ... }, self)',
+    })
+  }
+  assertOptions('selfless', options)
+
   // inline curry
   if (arguments.length === 1) {
     return function selflessCurry($$self) {
-      const _class = fn($$self)
-      return thisless(_class)
+      return thislessFromFactory(fn, $$self)
     }
   } else {
-    const _class = fn($self)
-    return thisless(_class)
+    return thislessFromFactory(fn, $self, options)
+  }
+}
+
+/**
+ * @desc the way back, a class whose prototype has the members of the blank object,
+ *       non-enumerable like class members are, accessors & symbols included.
+ *       a blank object with a base gets a class extending the base rebuilt the same way,
+ *       so thisless(toClass(blankObj)) has the same members & superOf.
+ *       members hidden on the blank object are hidden again by thisless
+ * 
+ * @param {BlankObject | Object} blankObj or an object literal
+ * @param {Object} [options] 
+ * @param {string} [options.name] of the class, 
+ *        defaults to the name of the class the blank object came from
+ * @return {Class} 
+ * @example
+ *   const Api = toClass({ fetchTodos() {} }, { name: 'Api' })
+ *   new Api() instanceof Api //=> true
+ *   thisless(Api).fetchTodos
+ *   //=> [Function fetchTodos]
+ */
+function toClass(blankObj, options = EMPTY_OPTIONS) {
+  if (!isObjectLike(blankObj) || typeof blankObj === 'function') {
+    throw new ThislessInputError({
+      entry: 'toClass',
+      value: blankObj,
+      expected: 'a blank object or object literal',
+      hint: 'toClass(thisless(Class)), or toClass({ method() {} })',
+    })
+  }
+  assertOptions('toClass', options)
+  const { name } = options
+  if (!isUndefined(name) && typeof name !== 'string') {
+    throw new ThislessInputError({
+      entry: 'toClass',
+      value: name,
+      expected: 'name to be a string',
+    })
   }
+
+  const base = blankObj[SUPER]
+  const _class = isUndefined(base) ? class {} : class extends toClass(base) {}
+  Object.defineProperty(_class, 'name', {
+    value: name || describe(blankObj).name || '',
+    configurable: true,
+  })
+
+  const hidden = new Set()
+  getMemberKeys(blankObj)
+    .filter(key => key !== 'constructor')
+    .forEach(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(blankObj, key)
+      if (!descriptor.enumerable) hidden.add(key)
+      descriptor.enumerable = false
+      Object.defineProperty(_class.prototype, key, descriptor)
+    })
+  hiddenByPrototype.set(_class.prototype, hidden)
+
+  return _class
 }
 
 module.exports = {
   selfless,
   thisless,
   toBlankObj,
+  toClass,
   getOwnPrototypeNames,
+  getOwnPrototypeKeys,
+  createMemberFilter,
+  matchesMember,
+  getPrototypeChain,
+  superOf,
+  SUPER,
+  describe,
+  getMemberKeys,
+  META,
+  getInstanceFields,
+  fieldsOf,
   NATIVE_PROPS_NON_ENUMERABLE,
+  WELL_KNOWN_SYMBOLS,
+  CONSTRUCTOR_ONLY_SYMBOLS,
+  WELL_KNOWN_SYMBOL_POLICIES,
+  PRIVATE_MEMBER_POLICIES,
+  EMPTY_OPTIONS,
   isUndefined,
+  isPlainObject,
+  isClassLike,
 }
 module.exports.default = module.exports
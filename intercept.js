@@ -0,0 +1,161 @@
+/**
+ * @file wrapping every method, getter & setter of a blank object,
+ *       an interceptor gets each member and returns its replacement
+ *
+ *   intercept(blankObj, interceptors, keys)   used by thisless & toBlankObj
+ *   bind()                                     binds members to the blank object
+ *   trace(log)                                 logs each call & how long it took
+ *   catchAndReport(report)                     reports errors instead of throwing
+ *
+ * @example
+ *   thisless(class Api {
+ *     fetchTodos() {}
+ *   }, { intercept: [trace(), catchAndReport(Sentry.captureException)] })
+ */
+const { ThislessInputError } = require('./errors')
+const { functionsOfDescriptor } = require('./checkThis')
+const { GeneratorFunction, isThenable } = require('./shared')
+
+/**
+ * @param {*} interceptors
+ * @return {Array<Function>}
+ */
+function toInterceptors(interceptors) {
+  const list = Array.isArray(interceptors) ? interceptors : [interceptors]
+  list.forEach(interceptor => {
+    if (typeof interceptor !== 'function') {
+      throw new ThislessInputError({
+        entry: 'thisless',
+        value: interceptor,
+        expected: 'intercept to be an interceptor or an array of them',
+        hint: '{ intercept: [bind(), trace()] }',
+      })
+    }
+  })
+  return list
+}
+
+/**
+ * @desc replaces each method, getter & setter with what the interceptors return,
+ *       in order, each getting the previous one's result.
+ *       returning undefined keeps the member as it is, accessors stay accessors
+ *
+ * @param {BlankObject} blankObj changed in place
+ * @param {Interceptor|Array<Interceptor>} interceptors
+ *        ({ key, kind, fn, target }) => fn, kind is method | getter | setter
+ * @param {Array<string|symbol>} keys members to intercept
+ * @return {BlankObject}
+ */
+function intercept(blankObj, interceptors, keys) {
+  const list = toInterceptors(interceptors)
+
+  keys.forEach(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(blankObj, key)
+    functionsOfDescriptor(descriptor).forEach(([kind, fn, property]) => {
+      descriptor[property] = list.reduce((current, interceptor) => {
+        const replaced = interceptor({
+          key,
+          kind,
+          fn: current,
+          target: blankObj,
+        })
+        if (replaced === undefined) return current
+        if (typeof replaced !== 'function') {
+          throw new ThislessInputError({
+            entry: 'intercept',
+            value: replaced,
+            expected: `a function to replace ${String(key)} (${kind})`,
+            hint: 'return undefined to keep the member as it is',
+          })
+        }
+        return replaced
+      }, fn)
+    })
+    Object.defineProperty(blankObj, key, descriptor)
+  })
+
+  return blankObj
+}
+
+/**
+ * @desc binds each member to the blank object,
+ *       for classes using this that are called detached
+ * @return {Interceptor}
+ */
+const bind = () => ({ fn, target }) => fn.bind(target)
+
+/**
+ * @param {Object} call { key, kind, args, result, error, ms }
+ * @return {void}
+ */
+const logCall = ({ key, kind, ms, error }) =>
+  console.log(
+    `thisless: ${String(key)} (${kind}) ${error ? 'threw' : 'took'} ${ms}ms`
+  )
+
+/**
+ * @desc logs each call with its arguments, result & duration,
+ *       generator methods are left alone so they stay flows
+ *
+ * @param {Function} [log] ({ key, kind, args, result, error, ms }) => void
+ * @return {Interceptor}
+ */
+const trace = (log = logCall) => ({ key, kind, fn }) => {
+  if (fn instanceof GeneratorFunction) return undefined
+
+  return function traced(...args) {
+    const started = Date.now()
+    try {
+      const result = fn.apply(this, args)
+      log({ key, kind, args, result, ms: Date.now() - started })
+      return result
+    } catch (error) {
+      log({ key, kind, args, error, ms: Date.now() - started })
+      throw error
+    }
+  }
+}
+
+/**
+ * @desc reports errors thrown by a member, or rejected by the promise it returns,
+ *       and returns undefined instead.
+ *       generator methods are left alone so they stay flows
+ *
+ * @param {Function} [report=console.error] (error, { key, kind, args }) => void
+ * @return {Interceptor}
+ */
+const catchAndReport = (report = console.error) => {
+  if (typeof report !== 'function') {
+    throw new ThislessInputError({
+      entry: 'catchAndReport',
+      value: report,
+      expected: 'a report function',
+      hint:
+        'catchAndReport((error, { key }) => Sentry.captureException(error))',
+    })
+  }
+
+  return ({ key, kind, fn }) => {
+    if (fn instanceof GeneratorFunction) return undefined
+
+    return function reported(...args) {
+      try {
+        const result = fn.apply(this, args)
+        if (!isThenable(result)) return result
+        return result.then(undefined, error => {
+          report(error, { key, kind, args })
+        })
+      } catch (error) {
+        report(error, { key, kind, args })
+        return undefined
+      }
+    }
+  }
+}
+
+module.exports = {
+  intercept,
+  bind,
+  trace,
+  catchAndReport,
+}
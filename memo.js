@@ -0,0 +1,222 @@
+/**
+ * @file memoized view methods with arguments, `filterBy(status)`
+ *       getters already are mobx computed values, methods are not
+ *
+ *   memo                              decorator for view methods to memoize
+ *   memoizeViews(members, options)    used by .views
+ *   memoKeysOf(members, matcher)      the methods memoizeViews memoizes
+ *   memoize(fn, limit)                one method
+ *
+ * @example
+ *   .views(self => class {
+ *     @memo
+ *     filterBy(status) {
+ *       return self.todos.filter(todo => todo.status === status)
+ *     }
+ *   })
+ */
+const { ThislessInputError } = require('./errors')
+const { isUndefined, matchesMember } = require('./index')
+const { mobx } = require('./shared')
+
+/**
+ * @desc view methods decorated with memo
+ */
+const memoMethods = new WeakSet()
+
+/**
+ * @desc entries kept per memoized method of each instance
+ */
+const DEFAULT_LIMIT = 100
+
+/**
+ * @desc memoizes a view method per argument tuple,
+ *       as a legacy or stage 3 decorator, or called on the method
+ *
+ * @param {Object|Function} target prototype, or the method
+ * @param {string|Object} [key] member name, or decorator context
+ * @param {PropertyDescriptor} [descriptor]
+ * @return {PropertyDescriptor|Function}
+ */
+function memo(target, key, descriptor) {
+  if (!isUndefined(descriptor) && typeof descriptor.value === 'function') {
+    memoMethods.add(descriptor.value)
+    return descriptor
+  }
+  if (typeof target === 'function') {
+    memoMethods.add(target)
+    return target
+  }
+
+  throw new ThislessInputError({
+    entry: 'memo',
+    value: target,
+    expected: 'a method',
+    hint: '@memo on a view method with arguments, getters are cached already',
+  })
+}
+
+/**
+ * @desc objects & symbols are compared by identity
+ */
+const ids = {
+  objects: new WeakMap(),
+  symbols: new Map(),
+  next: 0,
+}
+
+/**
+ * @param {Object|Function|symbol} value
+ * @return {number}
+ */
+function idOf(value) {
+  const map = typeof value === 'symbol' ? ids.symbols : ids.objects
+  if (!map.has(value)) map.set(value, (ids.next += 1))
+  return map.get(value)
+}
+
+/**
+ * @param {Array<*>} args
+ * @return {string} same for the same primitives & the same objects
+ */
+const keyOf = args =>
+  args
+    .map(arg =>
+      arg !== null && /^(object|function|symbol)$/.test(typeof arg)
+        ? `#${idOf(arg)}`
+        : `${typeof arg}:${String(arg)}`
+    )
+    .join('|')
+
+/**
+ * @desc stale once something it observed changed, even before reactions run
+ * @param {Reaction} reaction
+ * @return {boolean}
+ */
+const isStale = reaction =>
+  typeof reaction.isScheduled === 'function'
+    ? reaction.isScheduled()
+    : reaction.isScheduled
+
+/**
+ * @desc caches each argument tuple until the state it read changes,
+ *       keeps the `limit` most recently used.
+ *       reading it in a reaction or observer tracks the cached entry
+ *
+ * @param {Function} fn
+ * @param {number} [limit=DEFAULT_LIMIT]
+ * @return {Function}
+ */
+function memoize(fn, limit = DEFAULT_LIMIT) {
+  const cache = new Map()
+  const evict = key => {
+    const entry = cache.get(key)
+    cache.delete(key)
+    entry.reaction.dispose()
+  }
+
+  const compute = (key, args) => {
+    const { createAtom, Reaction } = mobx()
+    const entry = { value: undefined, atom: createAtom(fn.name) }
+    entry.reaction = new Reaction(`memo ${fn.name}`, () => {
+      if (cache.get(key) === entry) evict(key)
+      entry.atom.reportChanged()
+    })
+
+    // the reaction would only log errors, rethrow them instead
+    let error
+    entry.reaction.track(() => {
+      try {
+        entry.value = fn(...args)
+      } catch (thrown) {
+        error = { thrown }
+      }
+    })
+    if (!isUndefined(error)) {
+      entry.reaction.dispose()
+      throw error.thrown
+    }
+
+    cache.set(key, entry)
+    if (cache.size > limit) evict(cache.keys().next().value)
+    return entry
+  }
+
+  return function memoized(...args) {
+    const key = keyOf(args)
+    let entry = cache.get(key)
+
+    if (!isUndefined(entry) && isStale(entry.reaction)) {
+      evict(key)
+      entry = undefined
+    }
+    if (isUndefined(entry)) {
+      entry = compute(key, args)
+    } else {
+      // most recently used last
+      cache.delete(key)
+      cache.set(key, entry)
+    }
+
+    entry.atom.reportObserved()
+    return entry.value
+  }
+}
+
+/**
+ * @desc the methods decorated with memo, or named by the matcher
+ *
+ * @param {Object} members
+ * @param {MemberMatcher} [matcher]
+ * @return {Array<string>} keys
+ */
+function memoKeysOf(members, matcher) {
+  return Object.getOwnPropertyNames(members).filter(key => {
+    const fn = Object.getOwnPropertyDescriptor(members, key).value
+    return (
+      typeof fn === 'function' &&
+      (memoMethods.has(fn) ||
+        (!isUndefined(matcher) && matchesMember(matcher, key)))
+    )
+  })
+}
+
+/**
+ * @desc memoizes the methods decorated with memo, or named by options.memoize
+ *
+ * @param {Object} members view members, changed in place
+ * @param {Object} [options]
+ * @param {MemberMatcher} [options.memoize] method names to memoize, /^filterBy/
+ * @param {number} [options.memoizeLimit=100] entries kept per method & instance
+ * @param {Array<string>} [keys] methods to memoize, read before they were intercepted
+ * @return {Object} members
+ */
+function memoizeViews(
+  members,
+  options = {},
+  keys = memoKeysOf(members, options.memoize)
+) {
+  const { memoizeLimit = DEFAULT_LIMIT } = options
+  if (!Number.isInteger(memoizeLimit) || memoizeLimit < 1) {
+    throw new ThislessInputError({
+      entry: '.views',
+      value: memoizeLimit,
+      expected: 'memoizeLimit to be a positive integer',
+    })
+  }
+
+  keys.forEach(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(members, key)
+    descriptor.value = memoize(descriptor.value, memoizeLimit)
+    Object.defineProperty(members, key, descriptor)
+  })
+
+  return members
+}
+
+module.exports = {
+  memo,
+  memoize,
+  memoizeViews,
+  memoKeysOf,
+}
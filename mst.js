@@ -0,0 +1,1103 @@
+/**
+ * @file explicit mobx-state-tree integration, nothing is patched on require
+ *
+ *   withClasses(model)  wraps one model, no prototype is touched
+ *   install(types)      patches the ObjectType prototype of that copy of mst
+ *   uninstall(types)    restores it, uninstall() restores every copy
+ *   modelFromClass(fn)  a whole model from one self => class {}
+ *
+ * @example
+ *   const Task = withClasses(types.model({ done: false }))
+ *     .actions(self => class {
+ *       toggle() {
+ *         self.done = !self.done
+ *       }
+ *     })
+ */
+const {
+  selfless,
+  thisless,
+  fieldsOf,
+  isUndefined,
+  isPlainObject,
+  isClassLike,
+  describe,
+  getMemberKeys,
+  NATIVE_PROPS_NON_ENUMERABLE,
+  EMPTY_OPTIONS,
+} = require('./index')
+const {
+  ThislessInputError,
+  SelflessFactoryError,
+  LifecycleHookError,
+} = require('./errors')
+const {
+  isClassSource,
+  hasOwnConstructor,
+  findFieldNames,
+  firstParamName,
+  findWritesAfterAwait,
+} = require('./source')
+const { asReduxStore, connectDevtools } = require('./redux')
+const { createPersistor } = require('./persist')
+const { createHistory, recordSkipped } = require('./history')
+const { createActionLog, recordClassActions } = require('./actionLog')
+const { memoizeViews, memoKeysOf } = require('./memo')
+const { isHot, hotMembers } = require('./hot')
+const { checkThis } = require('./checkThis')
+const { intercept } = require('./intercept')
+const { mst, GeneratorFunction, AsyncFunction } = require('./shared')
+
+/**
+ * @desc ObjectType prototypes patched by install, with their original methods
+ */
+const installed = new Map()
+
+/**
+ * @desc read on a withClasses model, gives the model it wraps
+ */
+const UNWRAPPED = Symbol('thisless.unwrapped')
+
+/**
+ * @desc ObjectType prototype => `flow` of the same mst copy, from install & withClasses
+ */
+const flowsByProto = new WeakMap()
+
+/**
+ * @desc calls the factory, classes are converted, plain objects returned as is
+ *
+ * @param {Function} factory self => class {}
+ * @param {Object} $self
+ * @param {Function} fromClass _class => initializer result
+ * @return {Object}
+ */
+function fromFactory(factory, $self, fromClass) {
+  const _class = factory($self)
+  if (isPlainObject(_class)) return _class
+  if (!isClassLike(_class)) {
+    throw new SelflessFactoryError({
+      factory,
+      value: _class,
+      hint: 'return the class from the factory, self => class { ... }',
+    })
+  }
+  return fromClass(_class)
+}
+
+/**
+ * @desc hooks mst calls when they are actions
+ */
+const LIFECYCLE_HOOKS = Object.freeze([
+  'afterCreate',
+  'afterAttach',
+  'beforeDetach',
+  'beforeDestroy',
+])
+
+/**
+ * @desc statics modelFromClass passes to the model
+ */
+const SNAPSHOT_PROCESSORS = Object.freeze([
+  'preProcessSnapshot',
+  'postProcessSnapshot',
+])
+
+/**
+ * @desc factories already checked, check once, not per instance
+ */
+const checkedFactories = {
+  actions: new WeakSet(),
+  views: new WeakSet(),
+}
+
+/**
+ * @desc whether the classes of a factory have a constructor, read once
+ */
+const constructsByFactory = new WeakMap()
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @return {number} levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution)
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * @desc only the case differs, or one letter is added or missing,
+ *       other names a letter or two away can be on purpose, afterAttack
+ *
+ * @param {string | symbol} key
+ * @param {Array<string>} names
+ * @return {Object | undefined} { name, certain } the name the key looks like
+ * @example
+ *   lookalikeName('afterCreated', LIFECYCLE_HOOKS)
+ *   //=> { name: 'afterCreate', certain: true }
+ *   lookalikeName('afterAttack', LIFECYCLE_HOOKS)
+ *   //=> { name: 'afterAttach', certain: false }
+ */
+function lookalikeName(key, names) {
+  if (typeof key !== 'string' || names.includes(key)) return undefined
+
+  const distanceTo = name => editDistance(name.toLowerCase(), key.toLowerCase())
+  const name = names.find(candidate => distanceTo(candidate) <= 2)
+  if (isUndefined(name)) return undefined
+
+  const distance = distanceTo(name)
+  const certain =
+    distance === 0 || (distance === 1 && name.length !== key.length)
+  return { name, certain }
+}
+
+/**
+ * @throws {LifecycleHookError} for a certain misspelling, warns for the others
+ *
+ * @param {string} key
+ * @param {Array<string>} names
+ * @return {void}
+ */
+function assertNotMisspelled(key, names) {
+  const lookalike = lookalikeName(key, names)
+  if (isUndefined(lookalike)) return
+
+  const error = new LifecycleHookError({
+    key,
+    hook: lookalike.name,
+    problem: 'misspelled',
+  })
+  if (lookalike.certain) throw error
+  console.warn(`${error.message}, rename it if it should be the hook`)
+}
+
+/**
+ * @throws {LifecycleHookError} for hooks mst would not call
+ *
+ * @param {Object} members
+ * @param {string} kind actions | views
+ * @return {void}
+ */
+function assertLifecycleHooks(members, kind) {
+  Object.getOwnPropertyNames(members).forEach(key => {
+    const { value } = Object.getOwnPropertyDescriptor(members, key)
+    if (LIFECYCLE_HOOKS.includes(key)) {
+      if (kind === 'views') {
+        throw new LifecycleHookError({ key, hook: key, problem: 'view' })
+      }
+      if (typeof value !== 'function') {
+        throw new LifecycleHookError({ key, hook: key, problem: 'accessor' })
+      }
+      return
+    }
+
+    if (kind === 'actions' && typeof value === 'function') {
+      assertNotMisspelled(key, LIFECYCLE_HOOKS)
+    }
+  })
+}
+
+/**
+ * @desc async methods changing self after an await run outside the action,
+ *       mst throws on those changes when the tree is protected
+ *
+ * @param {Function} factory self => class {}
+ * @param {Object} members
+ * @return {void}
+ */
+function warnAsyncWrites(factory, members) {
+  const name = firstParamName(factory)
+  if (isUndefined(name)) return
+
+  Object.getOwnPropertyNames(members).forEach(key => {
+    const { value } = Object.getOwnPropertyDescriptor(members, key)
+    if (!(value instanceof AsyncFunction)) return
+
+    findWritesAfterAwait(value, name).forEach(({ property, line }) =>
+      console.warn(
+        `thisless: ${key} (async method) changes ${name}${property} after await on line ${line}, make it a generator method to run it as a flow`
+      )
+    )
+  })
+}
+
+/**
+ * @param {Object} members
+ * @return {boolean} blank objects came from a class, plain objects are returned as is
+ */
+const isBlankObject = members => Object.getPrototypeOf(members) === null
+
+/**
+ * @desc lifecycle hooks, async methods & checkThis warn or throw, once per factory
+ *
+ * @param {Function} factory self => class {}
+ * @param {Object} members
+ * @param {string} kind actions | views
+ * @param {Object} [options=EMPTY_OPTIONS] thisless options
+ * @return {void}
+ */
+function checkMembers(factory, members, kind, options = EMPTY_OPTIONS) {
+  if (checkedFactories[kind].has(factory)) return
+
+  assertLifecycleHooks(members, kind)
+  if (kind === 'actions') warnAsyncWrites(factory, members)
+  const mode = options.checkThis
+  if (!isUndefined(mode) && mode !== 'bind' && isBlankObject(members)) {
+    checkThis(members, mode, describe(members).name)
+  }
+  checkedFactories[kind].add(factory)
+}
+
+/**
+ * @desc checkThis & intercept are left to checkMembers & bindAndIntercept,
+ *       so they see the members once the constructor is removed
+ * @param {Object} [options=EMPTY_OPTIONS] thisless options
+ * @return {Object}
+ */
+function withoutMemberChecks(options = EMPTY_OPTIONS) {
+  const copied = Object.assign({}, options)
+  delete copied.checkThis
+  delete copied.intercept
+  return copied
+}
+
+/**
+ * @desc the rest of what thisless does after copying, for each instance:
+ *       binds the members using this with checkThis: 'bind', then runs the interceptors
+ *
+ * @param {Object} members changed in place
+ * @param {Object} [options=EMPTY_OPTIONS] thisless options
+ * @return {Object} members
+ */
+function bindAndIntercept(members, options = EMPTY_OPTIONS) {
+  if (!isBlankObject(members)) return members
+
+  if (options.checkThis === 'bind') {
+    checkThis(members, 'bind', describe(members).name)
+  }
+  if (!isUndefined(options.intercept)) {
+    intercept(members, options.intercept, getMemberKeys(members))
+  }
+  return members
+}
+
+/**
+ * @param {Class} _class
+ * @return {boolean} a class in the chain has its own constructor
+ */
+function constructs(_class) {
+  for (
+    let ctor = _class;
+    typeof ctor === 'function' && ctor !== Function.prototype;
+    ctor = Object.getPrototypeOf(ctor)
+  ) {
+    if (hasOwnConstructor(ctor)) return true
+  }
+  return false
+}
+
+/**
+ * @param {Class} _class
+ * @return {Array<string>} fields declared by the class & its bases, from their source
+ */
+function declaredFields(_class) {
+  const names = []
+  for (
+    let ctor = _class;
+    typeof ctor === 'function' && ctor !== Function.prototype;
+    ctor = Object.getPrototypeOf(ctor)
+  ) {
+    names.push(...findFieldNames(ctor))
+  }
+  return names
+}
+
+/**
+ * @param {Function} factory
+ * @param {Class} _class one of the classes it returns
+ * @return {boolean}
+ */
+function constructsOnce(factory, _class) {
+  if (!constructsByFactory.has(factory)) {
+    constructsByFactory.set(factory, constructs(_class))
+  }
+  return constructsByFactory.get(factory)
+}
+
+/**
+ * @desc also copies `constructor`, so withConstructorHook can read it
+ * @param {Object} [options=EMPTY_OPTIONS] thisless options
+ * @return {Object}
+ */
+function includeConstructor(options = EMPTY_OPTIONS) {
+  const { include } = options
+  return Object.assign(withoutMemberChecks(options), {
+    include: isUndefined(include)
+      ? key =>
+          key === 'constructor' || !NATIVE_PROPS_NON_ENUMERABLE.includes(key)
+      : [include, 'constructor'],
+  })
+}
+
+/**
+ * @throws {ThislessInputError} when the constructor sets fields,
+ *         those would not be state
+ * @param {Class} ctor
+ * @return {void}
+ */
+function runConstructor(ctor) {
+  const instance = Reflect.construct(ctor, [])
+  const fields = Object.keys(instance)
+  if (fields.length > 0) {
+    throw new ThislessInputError({
+      entry: 'afterCreate',
+      value: ctor,
+      expected: 'a constructor that sets no fields',
+      hint: `${fields.join(', ')} of ${ctor.name ||
+        'anonymous class'} would be lost, use .volatile or properties`,
+    })
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.flow] `flow` of the mst copy, defaults to require('mobx-state-tree')
+ * @return {Function} flow
+ */
+const flowOf = options =>
+  isUndefined(options) || isUndefined(options.flow) ? mst().flow : options.flow
+
+/**
+ * @desc the constructor body runs as afterCreate, before an afterCreate method.
+ *       a generator afterCreate is made a flow here, withFlows only sees the wrapper
+ *
+ * @param {Function} factory self => class {}
+ * @param {Object} members blank object copied with includeConstructor
+ * @param {Object} [options] thisless options, for the flow
+ * @return {Object} members, without `constructor`
+ */
+function withConstructorHook(factory, members, options) {
+  if (!Object.prototype.hasOwnProperty.call(members, 'constructor')) {
+    return members
+  }
+
+  const ctor = members.constructor
+  delete members.constructor
+  if (!constructsOnce(factory, ctor)) return members
+
+  const afterCreate =
+    members.afterCreate instanceof GeneratorFunction
+      ? flowOf(options)(members.afterCreate)
+      : members.afterCreate
+  Object.defineProperty(members, 'afterCreate', {
+    value: () => {
+      runConstructor(ctor)
+      if (typeof afterCreate === 'function') afterCreate()
+    },
+    writable: true,
+    configurable: true,
+    enumerable: true,
+  })
+  return members
+}
+
+/**
+ * @desc generator methods become flows, `*fetch() { yield ... }`
+ *
+ * @param {Object} members methods, changed in place
+ * @param {Object} [options]
+ * @param {Function} [options.flow] `flow` of the mst copy, defaults to require('mobx-state-tree')
+ * @return {Object} members
+ */
+function withFlows(members, options) {
+  const flow = flowOf(options)
+
+  Object.getOwnPropertyNames(members).forEach(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(members, key)
+    if (descriptor.value instanceof GeneratorFunction) {
+      descriptor.value = flow(descriptor.value)
+      Object.defineProperty(members, key, descriptor)
+    }
+  })
+
+  return members
+}
+
+/**
+ * @desc the constructor as afterCreate, then members checked, generators as flows
+ *
+ * @param {Function} factory self => class {}
+ * @param {Object} members
+ * @param {Object} [options]
+ * @param {MobxStateTree.Instance} $self
+ * @return {Object} members
+ */
+function toActions(factory, members, options, $self) {
+  withConstructorHook(factory, members, options)
+  checkMembers(factory, members, 'actions', options)
+  // before the interceptors replace the decorated methods
+  recordSkipped($self, members)
+  bindAndIntercept(members, options)
+  if (isBlankObject(members)) {
+    recordClassActions($self, Object.getOwnPropertyNames(members))
+  }
+  return withFlows(members, options)
+}
+
+/**
+ * @desc getters & setters become views, methods & arrow function fields actions,
+ *       other fields volatile state
+ *
+ * @param {Class} _class
+ * @param {Object} [options] thisless options
+ * @param {Function} factory self => class {} the class came from
+ * @param {MobxStateTree.Instance} $self
+ * @return {Object} { actions, views, state }
+ */
+function extendFromClass(_class, options, factory, $self) {
+  const members = withConstructorHook(
+    factory,
+    thisless(_class, includeConstructor(options)),
+    options
+  )
+  checkMembers(factory, members, 'actions', options)
+  recordSkipped($self, members)
+  bindAndIntercept(members, options)
+
+  const actions = {}
+  const views = {}
+  const state = constructsOnce(factory, _class)
+    ? {}
+    : Object.assign({}, fieldsOf(_class, options))
+
+  Object.getOwnPropertyNames(members).forEach(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(members, key)
+    if (descriptor.get || descriptor.set) {
+      Object.defineProperty(views, key, descriptor)
+    } else if (typeof descriptor.value === 'function') {
+      actions[key] = descriptor.value
+    } else {
+      state[key] = descriptor.value
+    }
+  })
+
+  // `toggle = () => { self.done = !self.done }` changes state like a method
+  Object.keys(state)
+    .filter(key => typeof state[key] === 'function')
+    .forEach(key => {
+      actions[key] = state[key]
+      delete state[key]
+    })
+
+  recordClassActions($self, Object.keys(actions))
+  return { actions: withFlows(actions, options), views, state }
+}
+
+/**
+ * @desc for each method replaced by install & withClasses,
+ *       turns the class factory into the initializer mst expects
+ */
+const INITIALIZERS = Object.freeze({
+  actions: (factory, options) => {
+    const withConstructor = includeConstructor(options)
+    const build = $self => impl =>
+      toActions(impl, selfless(impl, $self, withConstructor), options, $self)
+    return $self =>
+      isHot(factory)
+        ? hotMembers(factory, $self, 'actions', build($self))
+        : build($self)(factory)
+  },
+  views: (factory, options) => {
+    const withoutChecks = withoutMemberChecks(options)
+    const build = $self => impl => {
+      const members = selfless(impl, $self, withoutChecks)
+      checkMembers(impl, members, 'views', options)
+      // before the interceptors replace the decorated methods
+      const memoized = memoKeysOf(members, options.memoize)
+      return memoizeViews(bindAndIntercept(members, options), options, memoized)
+    }
+    return $self =>
+      isHot(factory)
+        ? hotMembers(factory, $self, 'views', build($self))
+        : build($self)(factory)
+  },
+  volatile: (factory, options) => $self =>
+    fromFactory(factory, $self, _class =>
+      Object.assign({}, fieldsOf(_class, options))
+    ),
+  extend: (factory, options) => $self =>
+    fromFactory(factory, $self, _class =>
+      extendFromClass(_class, options, factory, $self)
+    ),
+})
+
+/**
+ * @desc methods replaced by install & withClasses
+ */
+const CLASS_METHODS = Object.freeze(Object.keys(INITIALIZERS))
+
+/**
+ * @desc validates up front, instead of when the first instance is created
+ *
+ * @param {string} entry '.actions'
+ * @param {Function} factory self => class {}
+ * @param {Object} [options]
+ * @return {void}
+ */
+function assertFactory(entry, factory, options) {
+  if (typeof factory !== 'function') {
+    throw new ThislessInputError({
+      entry,
+      value: factory,
+      expected: 'a factory function',
+      hint: `${entry}(self => class { ... })`,
+    })
+  }
+  if (!isUndefined(options) && !isPlainObject(options)) {
+    throw new ThislessInputError({
+      entry,
+      value: options,
+      expected: 'options to be a plain object',
+    })
+  }
+}
+
+/**
+ * @param {*} x
+ * @return {boolean} duck typed, works with any copy of mst
+ */
+const isModelType = x =>
+  x !== null &&
+  typeof x === 'object' &&
+  x.isType === true &&
+  typeof x.actions === 'function' &&
+  typeof x.views === 'function'
+
+/**
+ * @param {string} entry
+ * @param {*} model
+ * @return {void}
+ */
+function assertModelType(entry, model) {
+  if (!isModelType(model)) {
+    throw new ThislessInputError({
+      entry,
+      value: model,
+      expected: 'a model type',
+      hint: 'types.model({})',
+    })
+  }
+}
+
+/**
+ * @desc the unpatched method, even when the prototype was installed
+ * @param {MobxStateTree.ObjectType} model
+ * @param {string} name
+ * @return {Function}
+ */
+function originalMethod(model, name) {
+  let proto = Object.getPrototypeOf(model)
+  while (proto !== null) {
+    if (installed.has(proto)) return installed.get(proto)[name]
+    proto = Object.getPrototypeOf(proto)
+  }
+  return model[name]
+}
+
+/**
+ * @desc a flow of another mst copy throws when called,
+ *       `a mst flow must always have a parent context`,
+ *       so models of a copy other than the one thisless resolves to need its `flow`
+ *
+ * @param {MobxStateTree.ObjectType} model
+ * @param {Object} [options] thisless options
+ * @return {Object} options with the `flow` of the copy the model came from
+ */
+function withFlowOf(model, options = EMPTY_OPTIONS) {
+  if (!isUndefined(options.flow)) return options
+
+  const proto = Object.getPrototypeOf(unwrap(model))
+  let flow = flowsByProto.get(proto)
+  if (isUndefined(flow) && proto === objectTypeProtoOf(mst().types)) {
+    flow = mst().flow
+  }
+  if (isUndefined(flow)) {
+    flow = () => {
+      throw new ThislessInputError({
+        entry: 'flow',
+        value: model.name,
+        expected: 'the flow of the mobx-state-tree copy the model came from',
+        hint: 'install(types, { flow }) or withClasses(model, { flow })',
+      })
+    }
+  }
+  return Object.assign({}, options, { flow })
+}
+
+/**
+ * @param {Function} flow
+ * @param {string} entry
+ * @return {void}
+ */
+function assertFlow(flow, entry) {
+  if (!isUndefined(flow) && typeof flow !== 'function') {
+    throw new ThislessInputError({
+      entry,
+      value: flow,
+      expected: 'flow to be the flow export of mobx-state-tree',
+      hint: 'the flow exported next to the types of the same copy',
+    })
+  }
+}
+
+/**
+ * @param {string} name actions | views | volatile | extend
+ * @param {MobxStateTree.ObjectType} model
+ * @param {Function} factory self => class {}
+ * @param {Object} [options] thisless options, such as include, exclude, privatePrefix
+ * @return {MobxStateTree.ObjectType}
+ */
+function applyClassMethod(name, model, factory, options) {
+  assertFactory(`.${name}`, factory, options)
+
+  const initializer = INITIALIZERS[name](factory, withFlowOf(model, options))
+  return originalMethod(model, name).call(model, initializer)
+}
+
+/**
+ * @param {MobxStateTree.ObjectType} model
+ * @param {Object|undefined} [data=undefined]
+ * @param {Object} [options={}]
+ * @param {Array<Function>} [options.middleware] redux middleware, store => next => action
+ * @param {Transport} [options.devtools] { init, send, subscribe }, see connectDevtools
+ * @param {Object} [options.persist] { storage, key, version, migrations, debounce, whitelist, blacklist }
+ * @param {boolean|Object} [options.history] { limit, exclude }, see createHistory
+ * @param {boolean|Object} [options.actionLog=true] { limit=1000 }, see createActionLog
+ * @return {Object} { model, state, store, persistor, history, actionLog, disconnect }
+ */
+function createStore(model, data = undefined, options = {}) {
+  if (!isUndefined(data) && (data === null || typeof data !== 'object')) {
+    throw new ThislessInputError({
+      entry: '.createStore',
+      value: data,
+      expected: 'a snapshot object or undefined',
+    })
+  }
+  if (!isPlainObject(options)) {
+    throw new ThislessInputError({
+      entry: '.createStore',
+      value: options,
+      expected: 'options to be a plain object',
+      hint: '.createStore(data, { middleware, devtools, persist, history })',
+    })
+  }
+
+  const persistor = isUndefined(options.persist)
+    ? undefined
+    : createPersistor(options.persist, model.name)
+  const initial = isUndefined(persistor) ? data : persistor.restore(data)
+
+  const state = isUndefined(initial) ? model.create() : model.create(initial)
+  const store = asReduxStore(state, options.middleware)
+  if (!isUndefined(persistor)) persistor.attach(state)
+  const history =
+    isUndefined(options.history) || options.history === false
+      ? undefined
+      : createHistory(state, options.history)
+  const actionLog =
+    options.actionLog === false
+      ? undefined
+      : createActionLog(state, options.actionLog)
+  const disconnectDevtools = isUndefined(options.devtools)
+    ? () => {}
+    : connectDevtools(store, options.devtools)
+
+  const disconnect = () => {
+    disconnectDevtools()
+    if (!isUndefined(persistor)) persistor.stop()
+    if (!isUndefined(history)) history.stop()
+    if (!isUndefined(actionLog)) actionLog.stop()
+  }
+
+  return { model, state, store, persistor, history, actionLog, disconnect }
+}
+
+/**
+ * @desc wraps a model so .actions, .views, .volatile & .extend take classes,
+ *       and adds .createStore,
+ *       every model type returned from its methods is wrapped too
+ *       nothing shared is modified, so other users of mst are unaffected
+ *
+ * @param {MobxStateTree.ObjectType} model
+ * @param {Object} [options={}]
+ * @param {Function} [options.flow] `flow` of the mst copy the model came from,
+ *        for generator methods, needed for copies other than require('mobx-state-tree')
+ * @return {MobxStateTree.ObjectType} proxy of the model
+ */
+function withClasses(model, options = {}) {
+  assertModelType('withClasses', model)
+  assertFlow(options.flow, 'withClasses')
+  if (!isUndefined(options.flow)) {
+    flowsByProto.set(Object.getPrototypeOf(unwrap(model)), options.flow)
+  }
+  if (!isUndefined(model[UNWRAPPED])) return model
+
+  const wrapped = new Map()
+  const wrapIfModel = result =>
+    isModelType(result) ? withClasses(result) : result
+
+  return new Proxy(model, {
+    get(target, key, receiver) {
+      if (key === UNWRAPPED) return target
+      if (wrapped.has(key)) return wrapped.get(key)
+
+      let method
+      if (CLASS_METHODS.includes(key)) {
+        method = (factory, options) =>
+          withClasses(applyClassMethod(key, target, factory, options))
+      } else if (key === 'createStore') {
+        method = (data, options) => createStore(receiver, data, options)
+      } else {
+        const value = Reflect.get(target, key, receiver)
+        if (typeof value !== 'function') return value
+        method = (...args) => wrapIfModel(value.apply(target, args))
+      }
+
+      wrapped.set(key, method)
+      return method
+    },
+  })
+}
+
+/**
+ * @param {MobxStateTree.ObjectType} model
+ * @return {MobxStateTree.ObjectType} the model withClasses wrapped, or the model
+ */
+const unwrap = model =>
+  isUndefined(model[UNWRAPPED]) ? model : model[UNWRAPPED]
+
+/**
+ * @param {Object} types `types` of the mst copy
+ * @return {Object} ObjectType prototype
+ */
+function objectTypeProtoOf(types) {
+  if (types === null || typeof types !== 'object' || !types.model) {
+    throw new ThislessInputError({
+      entry: 'install',
+      value: types,
+      expected: 'the types export of mobx-state-tree',
+      hint: "install(require('mobx-state-tree').types)",
+    })
+  }
+  return Object.getPrototypeOf(types.model({}))
+}
+
+/**
+ * @desc get the ObjectType prototype,
+ *       change the methods to allow using classes
+ *
+ * @modifies
+ *    ObjectType.prototype.actions
+ *    ObjectType.prototype.views
+ *    ObjectType.prototype.volatile
+ *    ObjectType.prototype.extend
+ *    ObjectType.prototype.createStore
+ *
+ * @see thisless, selfless, uninstall
+ * @param {Object} types `types` of the mst copy to patch
+ * @param {Object} [options={}]
+ * @param {Function} [options.flow] `flow` of the same copy, for generator methods,
+ *        needed for copies other than require('mobx-state-tree')
+ * @return {Function} uninstall for this copy
+ */
+function install(types, options = {}) {
+  const ObjectTypeProto = objectTypeProtoOf(types)
+  const uninstallThis = () => uninstall(types)
+  assertFlow(options.flow, 'install')
+  if (!isUndefined(options.flow))
+    flowsByProto.set(ObjectTypeProto, options.flow)
+
+  // only run this once per copy
+  if (installed.has(ObjectTypeProto)) return uninstallThis
+
+  const originals = {}
+  CLASS_METHODS.forEach(name => {
+    originals[name] = ObjectTypeProto[name]
+    ObjectTypeProto[name] = function(factory, options) {
+      return applyClassMethod(name, this, factory, options)
+    }
+  })
+  ObjectTypeProto.createStore = function(data, options) {
+    return createStore(this, data, options)
+  }
+
+  installed.set(ObjectTypeProto, originals)
+  return uninstallThis
+}
+
+/**
+ * @param {Object} [types] `types` of the mst copy, every installed copy when undefined
+ * @return {void}
+ */
+function uninstall(types) {
+  const protos = isUndefined(types)
+    ? Array.from(installed.keys())
+    : [objectTypeProtoOf(types)]
+
+  protos
+    .filter(proto => installed.has(proto))
+    .forEach(proto => {
+      const originals = installed.get(proto)
+      CLASS_METHODS.forEach(name => {
+        proto[name] = originals[name]
+      })
+      delete proto.createStore
+      installed.delete(proto)
+    })
+}
+
+/**
+ * @param {Object} types
+ * @return {boolean}
+ */
+const isInstalled = types => installed.has(objectTypeProtoOf(types))
+
+/**
+ * @desc property types recorded by the prop decorator, keyed by the prototype
+ */
+const propTypes = new WeakMap()
+
+/**
+ * @param {*} x
+ * @return {boolean} any mst type, duck typed like mst does
+ */
+const isType = x => x !== null && typeof x === 'object' && x.isType === true
+
+/**
+ * @param {*} x
+ * @return {boolean} values types.model takes as a property default,
+ *         null is not one of them
+ */
+const isPrimitive = x => /^(string|number|boolean)$/.test(typeof x)
+
+/**
+ * @desc declares the mst type of a field for modelFromClass,
+ *       the field value is used as the default
+ *
+ * @param {MobxStateTree.IType} type
+ * @return {Function} field decorator, legacy or stage 3
+ *
+ * @example
+ *   self => class Counter {
+ *     @prop(types.number) count = 0
+ *   }
+ */
+function prop(type) {
+  if (!isType(type)) {
+    throw new ThislessInputError({
+      entry: 'prop',
+      value: type,
+      expected: 'a mobx-state-tree type',
+      hint: '@prop(types.number)',
+    })
+  }
+
+  return function propDecorator(target, key, descriptor) {
+    // stage 3, (undefined, context)
+    if (isUndefined(target) && key !== null && typeof key === 'object') {
+      const { name, metadata } = key
+      if (isUndefined(metadata)) {
+        throw new ThislessInputError({
+          entry: 'prop',
+          value: metadata,
+          expected: 'decorator metadata, Symbol.metadata',
+          hint: 'use legacy decorators, or a types.* field initializer',
+        })
+      }
+      if (!propTypes.has(metadata)) propTypes.set(metadata, new Map())
+      propTypes.get(metadata).set(name, type)
+      return undefined
+    }
+
+    if (!propTypes.has(target)) propTypes.set(target, new Map())
+    propTypes.get(target).set(key, type)
+    return descriptor
+  }
+}
+
+/**
+ * @desc types recorded with @prop on the class or its bases
+ * @param {Class} _class
+ * @return {Map<string, MobxStateTree.IType>}
+ */
+function propTypesOf(_class) {
+  const found = new Map()
+  const sources = []
+  for (let proto = _class.prototype; proto !== null; ) {
+    sources.unshift(proto)
+    proto = Object.getPrototypeOf(proto)
+  }
+  if (typeof Symbol.metadata === 'symbol' && _class[Symbol.metadata]) {
+    sources.push(_class[Symbol.metadata])
+  }
+
+  sources
+    .filter(source => propTypes.has(source))
+    .forEach(source =>
+      propTypes.get(source).forEach((type, key) => found.set(key, type))
+    )
+  return found
+}
+
+/**
+ * @desc properties are fields that are mst types, primitives, or decorated with @prop,
+ *       hidden private fields stay volatile
+ *
+ * @throws {ThislessInputError} when a class with a constructor declares fields,
+ *         or a field is null without @prop
+ *
+ * @param {Class} _class
+ * @param {Object} types `types` of the mst copy
+ * @param {Object} options thisless options
+ * @return {Object} properties for types.model
+ */
+function propertiesOf(_class, types, options) {
+  // the constructor would run, it becomes afterCreate instead
+  if (constructs(_class)) {
+    const names = declaredFields(_class)
+    if (names.length > 0) {
+      throw new ThislessInputError({
+        entry: 'modelFromClass',
+        value: _class,
+        expected: 'a class with a constructor to declare no fields',
+        hint: `${names.join(', ')} of ${_class.name ||
+          'anonymous class'} can't be read without running the constructor, use .props or .volatile`,
+      })
+    }
+    return {}
+  }
+
+  const fields = fieldsOf(_class, options)
+  const decorated = propTypesOf(_class)
+  const properties = {}
+
+  Object.keys(fields).forEach(key => {
+    const value = fields[key]
+    if (decorated.has(key)) {
+      const type = decorated.get(key)
+      properties[key] = isUndefined(value) ? type : types.optional(type, value)
+    } else if (isType(value) || isPrimitive(value)) {
+      properties[key] = value
+    } else if (value === null) {
+      throw new ThislessInputError({
+        entry: 'modelFromClass',
+        value: key,
+        expected: 'a field that is not null, mst has no type to infer from it',
+        hint: `${key} = types.maybeNull(types.string), or @prop(types.maybeNull(...)) ${key} = null`,
+      })
+    }
+  })
+
+  return properties
+}
+
+/**
+ * @desc static preProcessSnapshot & postProcessSnapshot become the snapshot processors
+ *
+ * @throws {LifecycleHookError} for statics misspelling them, warns for lookalikes
+ * @param {MobxStateTree.ObjectType} model
+ * @param {Class} _class
+ * @return {MobxStateTree.ObjectType}
+ */
+function withSnapshotProcessors(model, _class) {
+  Object.getOwnPropertyNames(_class).forEach(key =>
+    assertNotMisspelled(key, SNAPSHOT_PROCESSORS)
+  )
+
+  return SNAPSHOT_PROCESSORS.filter(
+    name => typeof _class[name] === 'function'
+  ).reduce((processed, name) => processed[name](_class[name]), model)
+}
+
+/**
+ * @desc a model from one class:
+ *       fields that are types.*, primitives or @prop become properties,
+ *       other fields volatile state, getters views, methods & arrow function fields actions,
+ *       the class name (or a static name) the model name,
+ *       the constructor afterCreate, static pre & postProcessSnapshot the snapshot processors
+ *
+ * @param {Function} factory self => class {}, or a class that does not need self
+ * @param {Object} [options={}] thisless options
+ * @param {Object} [options.types] `types` of the mst copy, defaults to require('mobx-state-tree')
+ * @param {Function} [options.flow] `flow` of the same copy, for generator methods,
+ *        defaults to the one passed to install or withClasses for that copy
+ * @return {MobxStateTree.ObjectType} with createStore
+ *
+ * @example
+ *   const Todo = modelFromClass(self => class Todo {
+ *     title = types.string
+ *     done = false
+ *     get doneInverted() {
+ *       return !self.done
+ *     }
+ *     toggle() {
+ *       self.done = !self.done
+ *     }
+ *   })
+ *   Todo.createStore({ title: 'eh' })
+ */
+function modelFromClass(factory, options = {}) {
+  if (isClassLike(factory) && isClassSource(factory)) {
+    const _class = factory
+    factory = () => _class
+  }
+  assertFactory('modelFromClass', factory, options)
+
+  const { types = mst().types } = options
+  const thislessOptions = Object.assign({}, options)
+  delete thislessOptions.types
+
+  // read the shape once, self is not available until an instance exists
+  const _class = fromFactory(factory, Object.create(null), x => x)
+  const properties = propertiesOf(_class, types, thislessOptions)
+  const memberOptions = Object.assign({}, thislessOptions, {
+    exclude: [thislessOptions.exclude, Object.keys(properties)].filter(
+      matcher => !isUndefined(matcher)
+    ),
+  })
+
+  const base = withSnapshotProcessors(
+    _class.name
+      ? types.model(_class.name, properties)
+      : types.model(properties),
+    _class
+  )
+  const extendOptions = withFlowOf(base, memberOptions)
+  const model = originalMethod(base, 'extend').call(base, $self =>
+    fromFactory(factory, $self, shape =>
+      extendFromClass(shape, extendOptions, factory, $self)
+    )
+  )
+
+  return 'createStore' in model ? model : withClasses(model)
+}
+
+module.exports = {
+  withClasses,
+  unwrap,
+  install,
+  uninstall,
+  isInstalled,
+  createStore,
+  modelFromClass,
+  prop,
+  isModelType,
+}
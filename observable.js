@@ -0,0 +1,137 @@
+/**
+ * @file plain mobx observables from a selfless class, without mst
+ *
+ *   observableFromClass(factory, options)
+ *     fields              observable state
+ *     getters             computed values
+ *     methods             bound actions
+ *     generator methods   flows
+ *
+ * @example
+ *   const todos = observableFromClass(self => class Todos {
+ *     list = []
+ *     add(title) {
+ *       self.list.push({ title, done: false })
+ *     }
+ *     get remaining() {
+ *       return self.list.filter(todo => !todo.done).length
+ *     }
+ *   })
+ *
+ *   autorun(() => console.log(todos.remaining))
+ *   todos.add('eh')
+ */
+const { ThislessInputError } = require('./errors')
+const {
+  selfless,
+  getMemberKeys,
+  isUndefined,
+  isPlainObject,
+} = require('./index')
+const { mobx, GeneratorFunction } = require('./shared')
+
+/**
+ * @desc the annotation mobx would need for each member
+ *
+ * @param {BlankObject} members
+ * @param {Object} [overrides={}] key => annotation, wins over the inferred one
+ * @return {Object} key => annotation
+ */
+function annotationsOf(members, overrides = {}) {
+  const { observable, computed, action, flow } = mobx()
+  const annotations = {}
+
+  Reflect.ownKeys(members).forEach(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(members, key)
+    const { value, get } = descriptor
+
+    if (Object.prototype.hasOwnProperty.call(overrides, key)) {
+      annotations[key] = overrides[key]
+    } else if (typeof get === 'function') {
+      annotations[key] = computed
+    } else if (value instanceof GeneratorFunction) {
+      annotations[key] = flow
+    } else if (typeof value === 'function') {
+      annotations[key] = action
+    } else {
+      annotations[key] = observable
+    }
+  })
+
+  return annotations
+}
+
+/**
+ * @desc an observable object built from the class,
+ *       `self` in the class is the observable itself.
+ *       members are copied with the same rules as thisless,
+ *       so the filtering options work here too
+ *
+ * @param {Function} factory self => class {}
+ * @param {Object} [options] thisless options, fields are always copied
+ * @param {Object} [options.annotations] key => mobx annotation, false to leave it plain
+ * @param {string} [options.name] debug name
+ * @return {Object} observable
+ *
+ * @example
+ *   const store = observableFromClass(self => class {
+ *     todos = []
+ *     api = createApi()
+ *     *load() {
+ *       self.todos = yield self.api.fetchTodos()
+ *     }
+ *   }, { annotations: { api: false } })
+ */
+function observableFromClass(factory, options = {}) {
+  if (typeof factory !== 'function') {
+    throw new ThislessInputError({
+      entry: 'observableFromClass',
+      value: factory,
+      expected: 'a factory function',
+      hint: 'observableFromClass(self => class { ... })',
+    })
+  }
+  if (!isPlainObject(options)) {
+    throw new ThislessInputError({
+      entry: 'observableFromClass',
+      value: options,
+      expected: 'options to be a plain object',
+    })
+  }
+
+  const { annotations, name } = options
+  if (!isUndefined(annotations) && !isPlainObject(annotations)) {
+    throw new ThislessInputError({
+      entry: 'observableFromClass',
+      value: annotations,
+      expected: 'annotations to be an object of key => annotation',
+      hint: '{ annotations: { api: false } }',
+    })
+  }
+
+  const self = {}
+  const blankObj = selfless(
+    factory,
+    self,
+    Object.assign({}, options, { fields: true })
+  )
+
+  // without the metadata, it would become observable too
+  const members = {}
+  getMemberKeys(blankObj).forEach(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(blankObj, key)
+    Object.defineProperty(members, key, descriptor)
+  })
+
+  return mobx().extendObservable(
+    self,
+    members,
+    annotationsOf(members, annotations),
+    // action.bound is gone in mobx 7, autoBind works in both
+    { name, autoBind: true }
+  )
+}
+
+module.exports = {
+  observableFromClass,
+}
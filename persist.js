@@ -0,0 +1,337 @@
+/**
+ * @file saving snapshots of a state tree, and restoring them on create
+ *
+ *   memoryStorage()        in memory, for tests & servers
+ *   fileStorage(file)      a json file on disk
+ *   createPersistor(opts)  used by createStore(data, { persist })
+ *
+ *   any object with getItem & setItem is storage too, localStorage or AsyncStorage
+ *
+ * @example
+ *   Todo.createStore(data, {
+ *     persist: { storage: localStorage, key: 'todos', debounce: 100 },
+ *   })
+ */
+const { ThislessInputError } = require('./errors')
+const { isUndefined, isPlainObject } = require('./index')
+const { mst, isThenable } = require('./shared')
+
+/**
+ * @param {Object} [initial={}] key => stored string
+ * @return {Storage} { getItem, setItem, removeItem }
+ */
+function memoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial))
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value))
+    },
+    removeItem: key => {
+      items.delete(key)
+    },
+  }
+}
+
+/**
+ * @desc every key in one json file, read & written synchronously
+ *       so the snapshot is restored before createStore returns
+ *
+ * @param {string} file path
+ * @return {Storage} { getItem, setItem, removeItem }
+ */
+function fileStorage(file) {
+  if (typeof file !== 'string') {
+    throw new ThislessInputError({
+      entry: 'fileStorage',
+      value: file,
+      expected: 'a file path',
+    })
+  }
+
+  const fs = require('fs')
+  const read = () => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return {}
+      throw error
+    }
+  }
+  const write = items => fs.writeFileSync(file, JSON.stringify(items, null, 2))
+
+  // values are stored parsed, so the file stays readable
+  return {
+    getItem(key) {
+      const items = read()
+      return Object.prototype.hasOwnProperty.call(items, key)
+        ? JSON.stringify(items[key])
+        : null
+    },
+    setItem(key, value) {
+      write(Object.assign(read(), { [key]: JSON.parse(value) }))
+    },
+    removeItem(key) {
+      const items = read()
+      delete items[key]
+      write(items)
+    },
+  }
+}
+
+/**
+ * @param {*} persist
+ * @return {void}
+ */
+function assertPersistOptions(persist) {
+  const fail = (value, expected, hint) => {
+    throw new ThislessInputError({ entry: 'persist', value, expected, hint })
+  }
+
+  if (!isPlainObject(persist)) {
+    fail(persist, 'options to be a plain object', '{ persist: { storage } }')
+  }
+  const { storage, key, version, migrations, debounce } = persist
+  const { whitelist, blacklist, onError } = persist
+
+  if (
+    storage === null ||
+    typeof storage !== 'object' ||
+    typeof storage.getItem !== 'function' ||
+    typeof storage.setItem !== 'function'
+  ) {
+    fail(storage, 'storage with getItem & setItem', 'memoryStorage()')
+  }
+  if (!isUndefined(key) && typeof key !== 'string') {
+    fail(key, 'key to be a string')
+  }
+  if (!isUndefined(version) && !Number.isInteger(version)) {
+    fail(version, 'version to be an integer')
+  }
+  if (!isUndefined(migrations) && !isPlainObject(migrations)) {
+    fail(migrations, 'migrations to be an object of version => migrate')
+  }
+  if (!isUndefined(debounce) && !(debounce >= 0)) {
+    fail(debounce, 'debounce to be milliseconds')
+  }
+  if (!isUndefined(onError) && typeof onError !== 'function') {
+    fail(onError, 'onError to be a function', '{ onError: console.error }')
+  }
+  const isList = list => isUndefined(list) || Array.isArray(list)
+  if (!isList(whitelist) || !isList(blacklist)) {
+    fail(
+      isList(whitelist) ? blacklist : whitelist,
+      'whitelist & blacklist to be arrays of property names'
+    )
+  }
+  if (!isUndefined(whitelist) && !isUndefined(blacklist)) {
+    fail(persist, 'either a whitelist or a blacklist, not both')
+  }
+}
+
+/**
+ * @param {Object} snapshot
+ * @param {Object} options { whitelist, blacklist }
+ * @return {Object} only the properties to persist
+ */
+function pick(snapshot, { whitelist, blacklist }) {
+  if (isUndefined(whitelist) && isUndefined(blacklist)) return snapshot
+
+  const picked = {}
+  Object.keys(snapshot)
+    .filter(key =>
+      isUndefined(whitelist)
+        ? !blacklist.includes(key)
+        : whitelist.includes(key)
+    )
+    .forEach(key => {
+      picked[key] = snapshot[key]
+    })
+  return picked
+}
+
+/**
+ * @desc runs each migration after the stored version, up to the current one
+ *
+ * @param {Object} snapshot
+ * @param {number} from stored version
+ * @param {number} to current version
+ * @param {Object} migrations version => snapshot => snapshot
+ * @return {Object}
+ */
+function migrate(snapshot, from, to, migrations) {
+  let migrated = snapshot
+  for (let version = from + 1; version <= to; version++) {
+    if (typeof migrations[version] === 'function') {
+      migrated = migrations[version](migrated)
+    }
+  }
+  return migrated
+}
+
+/**
+ * @desc reads & writes snapshots of one state tree
+ *
+ * @param {Object} persist
+ * @param {Storage} persist.storage { getItem, setItem, removeItem? }
+ * @param {string} [persist.key] defaults to the model name
+ * @param {number} [persist.version=0] stored with the snapshot
+ * @param {Object} [persist.migrations={}] version => snapshot => snapshot,
+ *        for snapshots stored with an older version
+ * @param {number} [persist.debounce=0] ms to wait after the last change before writing
+ * @param {Array<string>} [persist.whitelist] only these properties are saved
+ * @param {Array<string>} [persist.blacklist] these properties are not saved
+ * @param {Function} [persist.onError] (error, { key, operation }) => void,
+ *        for storage failing or a stored value that can't be read, defaults to console.error
+ * @param {string} name model name
+ * @return {Persistor} { restore, attach, hydrated, flush, purge, stop }
+ */
+function createPersistor(persist, name) {
+  assertPersistOptions(persist)
+  const {
+    storage,
+    key = name,
+    version = 0,
+    migrations = {},
+    debounce = 0,
+    onError = (error, { operation }) =>
+      console.error(`thisless: ${operation} of ${key} failed`, error),
+  } = persist
+
+  let state
+  let timer
+  let hydrating = false
+  let stopSnapshots = () => {}
+
+  /**
+   * @param {*} result of a storage call
+   * @param {string} operation getItem | setItem | removeItem
+   * @return {*} the result, a promise reports instead of rejecting
+   */
+  const reported = (result, operation) =>
+    isThenable(result)
+      ? result.then(undefined, error => onError(error, { key, operation }))
+      : result
+
+  const fromStored = value => {
+    const stored = typeof value === 'string' ? JSON.parse(value) : value
+    // purged without removeItem, localStorage keeps null as 'null'
+    if (stored === null || typeof stored !== 'object') return undefined
+
+    const from = stored.version || 0
+    if (from > version) {
+      console.warn(
+        `thisless: ${key} was stored with version ${from}, newer than ${version}, it is not restored`
+      )
+      return undefined
+    }
+    return pick(migrate(stored.snapshot, from, version, migrations), persist)
+  }
+
+  const write = () => {
+    timer = undefined
+    const snapshot = pick(mst().getSnapshot(state), persist)
+    reported(
+      storage.setItem(key, JSON.stringify({ version, snapshot })),
+      'setItem'
+    )
+  }
+
+  const persistor = {
+    hydrated: Promise.resolve(),
+
+    /**
+     * @desc the stored snapshot over the data, before creating the state.
+     *       async storage is applied once it resolves, see hydrated,
+     *       which resolves after reporting a failure too.
+     *       a sync failure is reported the same way, the data is used instead
+     * @param {Object|undefined} data
+     * @return {Object|undefined}
+     */
+    restore(data) {
+      let value
+      let snapshot
+      try {
+        value = storage.getItem(key)
+        if (!isThenable(value)) snapshot = fromStored(value)
+      } catch (error) {
+        onError(error, { key, operation: 'getItem' })
+        return data
+      }
+
+      if (isThenable(value)) {
+        hydrating = true
+        persistor.hydrated = Promise.resolve(value)
+          .then(resolved => {
+            const snapshot = fromStored(resolved)
+            if (isUndefined(snapshot)) return
+            const current = mst().getSnapshot(state)
+            mst().applySnapshot(state, Object.assign({}, current, snapshot))
+          })
+          .catch(error => onError(error, { key, operation: 'getItem' }))
+          .finally(() => {
+            hydrating = false
+          })
+        return data
+      }
+
+      return isUndefined(snapshot) ? data : Object.assign({}, data, snapshot)
+    },
+
+    /**
+     * @desc writes on each snapshot, debounced
+     * @param {MobxStateTree.Instance} _state
+     * @return {void}
+     */
+    attach(_state) {
+      state = _state
+      stopSnapshots = mst().onSnapshot(state, () => {
+        if (hydrating) return
+        if (debounce === 0) return write()
+        clearTimeout(timer)
+        timer = setTimeout(write, debounce)
+      })
+    },
+
+    /**
+     * @desc writes a debounced snapshot now
+     * @return {void}
+     */
+    flush() {
+      if (isUndefined(timer)) return
+      clearTimeout(timer)
+      write()
+    },
+
+    /**
+     * @desc removes the stored snapshot
+     * @return {void}
+     */
+    purge() {
+      clearTimeout(timer)
+      timer = undefined
+      if (typeof storage.removeItem === 'function') {
+        reported(storage.removeItem(key), 'removeItem')
+      } else {
+        reported(storage.setItem(key, null), 'setItem')
+      }
+    },
+
+    /**
+     * @desc flushes, then stops writing
+     * @return {void}
+     */
+    stop() {
+      persistor.flush()
+      stopSnapshots()
+    },
+  }
+
+  return persistor
+}
+
+module.exports = {
+  memoryStorage,
+  fileStorage,
+  createPersistor,
+}
@@ -0,0 +1,317 @@
+/**
+ * @file a redux reducer from a selfless class, without mst
+ *
+ *   reducerFromClass(factory, options)
+ *     methods   update a draft of the state, or return the next state
+ *     getters   become selectors
+ *     fields    are the initial state
+ *
+ *   each method gets a namespaced type & an action creator,
+ *   unchanged parts of the state keep their identity
+ *
+ * @example
+ *   const counter = reducerFromClass(state => class Counter {
+ *     count = 0
+ *     increment(by = 1) {
+ *       state.count += by
+ *     }
+ *     get isEven() {
+ *       return state.count % 2 === 0
+ *     }
+ *   })
+ *
+ *   const store = createStore(counter.reducer)
+ *   store.dispatch(counter.actions.increment(2))
+ *   counter.types.increment //=> 'Counter/increment'
+ *   counter.selectors.isEven(store.getState()) //=> true
+ */
+const { ThislessInputError, SelflessFactoryError } = require('./errors')
+const {
+  selfless,
+  fieldsOf,
+  isUndefined,
+  isPlainObject,
+  isClassLike,
+} = require('./index')
+
+/**
+ * @desc draft proxy => its draft state
+ */
+const drafts = new WeakMap()
+
+/**
+ * @param {*} value
+ * @return {boolean} plain objects & arrays are copied on write
+ */
+const isDraftable = value => Array.isArray(value) || isPlainObject(value)
+
+/**
+ * @param {Object|Array} value
+ * @return {Object|Array} shallow copy, same prototype
+ */
+const shallowCopy = value =>
+  Array.isArray(value)
+    ? value.slice()
+    : Object.assign(Object.create(Object.getPrototypeOf(value)), value)
+
+/**
+ * @param {Draft} draft
+ * @return {Object|Array} the copy once written, the base until then
+ */
+const latest = draft => draft.copy || draft.base
+
+/**
+ * @desc copies the draft & every parent up to the root, once
+ * @param {Draft} draft
+ * @return {void}
+ */
+function markChanged(draft) {
+  if (draft.copy) return
+  draft.copy = shallowCopy(draft.base)
+  if (draft.parent) markChanged(draft.parent)
+}
+
+/**
+ * @desc what the draft proxy wraps, an empty object of the same kind.
+ *       wrapping the state itself would hold the proxy to its invariants,
+ *       which a frozen state breaks as soon as a member is read or changed
+ *
+ * @param {Object|Array} base
+ * @return {Object|Array}
+ */
+const emptyOf = base =>
+  Array.isArray(base) ? [] : Object.create(Object.getPrototypeOf(base))
+
+/**
+ * @desc writable & configurable, the draft can change what a frozen state cannot.
+ *       the length of an array stays non-configurable like the empty array's
+ *
+ * @param {Object|Array} current
+ * @param {string|symbol} key
+ * @return {PropertyDescriptor|undefined}
+ */
+function draftDescriptor(current, key) {
+  const descriptor = Reflect.getOwnPropertyDescriptor(current, key)
+  if (isUndefined(descriptor)) return descriptor
+
+  const isLength = Array.isArray(current) && key === 'length'
+  return {
+    value: current[key],
+    writable: true,
+    configurable: !isLength,
+    enumerable: descriptor.enumerable,
+  }
+}
+
+/**
+ * @desc a proxy that reads from the base & copies it on the first write
+ *
+ * @param {Object|Array} base
+ * @param {Draft} [parent]
+ * @return {Proxy}
+ */
+function createDraft(base, parent) {
+  const draft = { base, copy: undefined, parent, children: new Map() }
+
+  const proxy = new Proxy(emptyOf(base), {
+    get(target, key) {
+      const value = latest(draft)[key]
+      const own = Object.prototype.hasOwnProperty.call(latest(draft), key)
+      // values assigned during this update are not part of the base
+      if (!own || !isDraftable(value) || value !== base[key]) return value
+
+      if (!draft.children.has(key)) {
+        draft.children.set(key, createDraft(value, draft))
+      }
+      return draft.children.get(key)
+    },
+    set(target, key, value) {
+      const current = latest(draft)
+      if (current[key] === value && key in current) return true
+      markChanged(draft)
+      draft.copy[key] = value
+      return true
+    },
+    deleteProperty(target, key) {
+      if (!(key in latest(draft))) return true
+      markChanged(draft)
+      delete draft.copy[key]
+      return true
+    },
+    has: (target, key) => key in latest(draft),
+    ownKeys: () => Reflect.ownKeys(latest(draft)),
+    getOwnPropertyDescriptor: (target, key) =>
+      draftDescriptor(latest(draft), key),
+  })
+
+  drafts.set(proxy, draft)
+  return proxy
+}
+
+/**
+ * @desc the next state: the base when nothing changed,
+ *       otherwise the copy with drafts inside it replaced by their result
+ *
+ * @param {*} value draft, or a value assigned during the update
+ * @param {Set} [seen] fresh objects already walked
+ * @return {*}
+ */
+function finalize(value, seen = new Set()) {
+  if (drafts.has(value)) {
+    const draft = drafts.get(value)
+    if (!draft.copy) return draft.base
+    if (seen.has(draft.copy)) return draft.copy
+    seen.add(draft.copy)
+
+    Reflect.ownKeys(draft.copy).forEach(key => {
+      const child = draft.children.get(key)
+      draft.copy[key] =
+        !isUndefined(child) && draft.copy[key] === drafts.get(child).base
+          ? finalize(child, seen)
+          : finalize(draft.copy[key], seen)
+    })
+    return draft.copy
+  }
+
+  // fresh objects can hold drafts, [...state.todos, todo]
+  if (isDraftable(value) && !seen.has(value)) {
+    seen.add(value)
+    Reflect.ownKeys(value).forEach(key => {
+      const next = finalize(value[key], seen)
+      if (next !== value[key]) value[key] = next
+    })
+  }
+  return value
+}
+
+/**
+ * @param {Function} factory
+ * @return {Class}
+ */
+function classOf(factory) {
+  const _class = factory(Object.create(null))
+  if (!isClassLike(_class)) {
+    throw new SelflessFactoryError({
+      factory,
+      value: _class,
+      hint: 'return the class from the factory, state => class { ... }',
+    })
+  }
+  return _class
+}
+
+/**
+ * @param {Class} _class
+ * @param {Object} options
+ * @return {string} prefix of the action types
+ */
+function namespaceOf(_class, options) {
+  const namespace = isUndefined(options.namespace)
+    ? _class.name
+    : options.namespace
+  if (typeof namespace !== 'string' || namespace === '') {
+    throw new ThislessInputError({
+      entry: 'reducerFromClass',
+      value: namespace,
+      expected: 'a namespace for the action types',
+      hint:
+        "name the class, or reducerFromClass(factory, { namespace: 'counter' })",
+    })
+  }
+  return namespace
+}
+
+/**
+ * @desc a reducer, action types, action creators & selectors from a class.
+ *       methods get a draft of the state as `state`, mutating it
+ *       makes the next state without changing the previous one.
+ *       a method returning something other than undefined replaces the state,
+ *       which is how a state that is not an object or array is updated
+ *
+ * @param {Function} factory state => class {}
+ * @param {Object} [options]
+ * @param {string} [options.namespace] prefix of the action types, defaults to the class name
+ * @param {*} [options.initialState] defaults to the class fields
+ * @return {Object} { reducer, types, actions, selectors, initialState }
+ *
+ * @example
+ *   const todos = reducerFromClass(state => class {
+ *     add(title) {
+ *       state.push({ title, done: false })
+ *     }
+ *     toggle(index) {
+ *       state[index].done = !state[index].done
+ *     }
+ *     get done() {
+ *       return state.filter(todo => todo.done)
+ *     }
+ *   }, { namespace: 'todos', initialState: [] })
+ *
+ *   todos.actions.toggle(0) //=> { type: 'todos/toggle', args: [0] }
+ */
+function reducerFromClass(factory, options = {}) {
+  if (typeof factory !== 'function') {
+    throw new ThislessInputError({
+      entry: 'reducerFromClass',
+      value: factory,
+      expected: 'a factory function',
+      hint: 'reducerFromClass(state => class { ... })',
+    })
+  }
+  if (!isPlainObject(options)) {
+    throw new ThislessInputError({
+      entry: 'reducerFromClass',
+      value: options,
+      expected: 'options to be a plain object',
+    })
+  }
+
+  const _class = classOf(factory)
+  const namespace = namespaceOf(_class, options)
+  const initialState = isUndefined(options.initialState)
+    ? Object.assign({}, fieldsOf(_class))
+    : options.initialState
+
+  const members = selfless(factory, Object.create(null))
+  const types = {}
+  const actions = {}
+  const selectors = {}
+  const methods = {}
+
+  Object.getOwnPropertyNames(members).forEach(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(members, key)
+    if (typeof descriptor.get === 'function') {
+      selectors[key] = state => selfless(factory, state)[key]
+    } else if (typeof descriptor.value === 'function') {
+      const type = `${namespace}/${key}`
+      types[key] = type
+      methods[type] = key
+      actions[key] = Object.assign((...args) => ({ type, args }), { type })
+    }
+  })
+
+  /**
+   * @param {*} [state=initialState]
+   * @param {ReduxAction} action { type, args }
+   * @return {*} next state
+   */
+  const reducer = (state = initialState, action) => {
+    if (
+      !action ||
+      !Object.prototype.hasOwnProperty.call(methods, action.type)
+    ) {
+      return state
+    }
+
+    const draft = isDraftable(state) ? createDraft(state) : state
+    const { args = [] } = action
+    const returned = selfless(factory, draft)[methods[action.type]](...args)
+    return finalize(isUndefined(returned) ? draft : returned)
+  }
+
+  return { reducer, types, actions, selectors, initialState }
+}
+
+module.exports = {
+  reducerFromClass,
+}
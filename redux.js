@@ -0,0 +1,203 @@
+/**
+ * @file redux-style store for a state tree, and a devtools connector
+ *
+ *   asReduxStore(state, middleware)   getState, dispatch & subscribe
+ *   connectDevtools(store, transport)  sends actions & snapshots, jumps back on request
+ *
+ * @example
+ *   const { store } = Todo.createStore(data, {
+ *     middleware: [logger],
+ *     devtools: window.__REDUX_DEVTOOLS_EXTENSION__.connect(),
+ *   })
+ *   store.dispatch({ type: 'toggle', args: [] })
+ */
+const { ThislessInputError } = require('./errors')
+const { isPlainObject } = require('./index')
+const { mst } = require('./shared')
+const { memberCall } = require('./hot')
+
+/**
+ * @param {*} action
+ * @return {void}
+ */
+function assertAction(action) {
+  if (!isPlainObject(action) || typeof action.type !== 'string') {
+    throw new ThislessInputError({
+      entry: 'dispatch',
+      value: action,
+      expected: 'an action object with a string type',
+      hint: "dispatch({ type: 'toggle', args: [] })",
+    })
+  }
+}
+
+/**
+ * @param {string} entry
+ * @param {*} fn
+ * @param {string} expected
+ * @return {void}
+ */
+function assertFunction(entry, fn, expected) {
+  if (typeof fn !== 'function') {
+    throw new ThislessInputError({ entry, value: fn, expected })
+  }
+}
+
+/**
+ * @desc a redux action as an mst action call
+ * @param {ReduxAction} action { type, args, path }
+ * @return {Object} { name, args, path }
+ */
+const toActionCall = ({ type, args = [], path = '' }) => ({
+  name: type,
+  args,
+  path,
+})
+
+/**
+ * @desc getState gives the snapshot, dispatch calls the action named by type,
+ *       subscribe listens to snapshots,
+ *       middleware has the redux signature, store => next => action
+ *
+ * @param {MobxStateTree.Instance} state
+ * @param {Array<Function>} [middleware=[]]
+ * @return {Store} { getState, dispatch, subscribe, state }
+ *
+ * @example
+ *   const logger = store => next => action => {
+ *     console.log(action.type)
+ *     return next(action)
+ *   }
+ *   const store = asReduxStore(Todo.create(), [logger])
+ *   store.dispatch({ type: 'toggle' })
+ */
+function asReduxStore(state, middleware = []) {
+  if (!mst().isStateTreeNode(state)) {
+    throw new ThislessInputError({
+      entry: 'asReduxStore',
+      value: state,
+      expected: 'a state tree instance',
+      hint: 'Model.create()',
+    })
+  }
+  if (!Array.isArray(middleware)) {
+    throw new ThislessInputError({
+      entry: 'asReduxStore',
+      value: middleware,
+      expected: 'middleware to be an array',
+    })
+  }
+  middleware.forEach(fn =>
+    assertFunction('asReduxStore', fn, 'middleware, store => next => action')
+  )
+
+  const store = {
+    state,
+    getState: () => mst().getSnapshot(state),
+    dispatch: undefined,
+    subscribe(listener) {
+      assertFunction('subscribe', listener, 'a listener function')
+      return mst().onSnapshot(state, () => listener())
+    },
+  }
+
+  const apply = action => {
+    assertAction(action)
+    mst().applyAction(state, toActionCall(action))
+    return action
+  }
+  // like redux, middleware calling dispatch goes through the whole chain
+  const api = {
+    getState: store.getState,
+    dispatch: action => store.dispatch(action),
+  }
+  store.dispatch = middleware
+    .map(fn => fn(api))
+    .reduceRight((next, fn) => fn(next), apply)
+
+  return store
+}
+
+/**
+ * @desc devtools messages that move to a recorded state
+ */
+const JUMPS = Object.freeze(['JUMP_TO_STATE', 'JUMP_TO_ACTION', 'ROLLBACK'])
+
+/**
+ * @desc sends the initial snapshot, then each top level action with the snapshot after it.
+ *       jumps, resets & actions sent from the devtools are applied to the store
+ *
+ *       the transport has the shape of the redux devtools extension connection,
+ *       { init(state), send(action, state), subscribe(listener) }
+ *       so an in-process fake works the same as the extension or a remote server
+ *
+ * @param {Store} store from asReduxStore
+ * @param {Transport} transport
+ * @return {Function} disconnect
+ *
+ * @example
+ *   connectDevtools(store, window.__REDUX_DEVTOOLS_EXTENSION__.connect())
+ */
+function connectDevtools(store, transport) {
+  if (
+    transport === null ||
+    typeof transport !== 'object' ||
+    typeof transport.send !== 'function'
+  ) {
+    throw new ThislessInputError({
+      entry: 'connectDevtools',
+      value: transport,
+      expected: 'a transport with init, send & subscribe',
+      hint: 'window.__REDUX_DEVTOOLS_EXTENSION__.connect()',
+    })
+  }
+
+  const { state } = store
+  const initial = store.getState()
+  if (typeof transport.init === 'function') transport.init(initial)
+
+  const stopActions = mst().onAction(
+    state,
+    call => {
+      const { name, args, path } = memberCall(call)
+      transport.send({ type: name, args, path }, store.getState())
+    },
+    true
+  )
+
+  const onMessage = message => {
+    if (message.type === 'ACTION') {
+      const action =
+        typeof message.payload === 'string'
+          ? JSON.parse(message.payload)
+          : message.payload
+      store.dispatch(action)
+    } else if (message.type === 'DISPATCH' && message.payload) {
+      const { type } = message.payload
+      if (JUMPS.includes(type)) {
+        mst().applySnapshot(state, JSON.parse(message.state))
+      } else if (type === 'RESET') {
+        mst().applySnapshot(state, initial)
+        if (typeof transport.init === 'function') transport.init(initial)
+      } else if (type === 'COMMIT' && typeof transport.init === 'function') {
+        transport.init(store.getState())
+      }
+    }
+  }
+  const stopMessages =
+    typeof transport.subscribe === 'function'
+      ? transport.subscribe(onMessage)
+      : undefined
+
+  return () => {
+    stopActions()
+    if (typeof stopMessages === 'function') stopMessages()
+    else if (typeof transport.unsubscribe === 'function')
+      transport.unsubscribe()
+  }
+}
+
+module.exports = {
+  asReduxStore,
+  connectDevtools,
+}
@@ -0,0 +1,46 @@
+/**
+ * @file helpers the modules share, so each of them does not define its own
+ *
+ *   mst()               mobx-state-tree, required when first used
+ *   mobx()              mobx, required when first used
+ *   GeneratorFunction   generator methods, which become flows
+ *   AsyncFunction       async methods
+ *   isThenable(x)       promises & anything else with a then method
+ *
+ * @example
+ *   const { mst, isThenable } = require('./shared')
+ *   if (isThenable(value)) value.then(snapshot => mst().applySnapshot(state, snapshot))
+ */
+
+/**
+ * @desc lazily, so requiring thisless does not require mst,
+ *       only the features using it do
+ * @return {Object} mobx-state-tree
+ */
+const mst = () => require('mobx-state-tree')
+
+/**
+ * @desc lazily, like mst
+ * @return {Object} mobx
+ */
+const mobx = () => require('mobx')
+
+const GeneratorFunction = Object.getPrototypeOf(function*() {}).constructor
+const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor
+
+/**
+ * @param {*} x
+ * @return {boolean}
+ */
+const isThenable = x =>
+  x !== null &&
+  (typeof x === 'object' || typeof x === 'function') &&
+  typeof x.then === 'function'
+
+module.exports = {
+  mst,
+  mobx,
+  GeneratorFunction,
+  AsyncFunction,
+  isThenable,
+}
@@ -0,0 +1,627 @@
+/**
+ * @file reading function & class source text
+ *       not a parser, good enough for detecting shapes of classes
+ */
+
+/**
+ * @param {Function} fn
+ * @return {string}
+ */
+const getSource = fn => Function.prototype.toString.call(fn)
+
+/**
+ * @param {string} text
+ * @return {string} spaces, keeping newlines
+ */
+const blank = text => text.replace(/[^\n]/g, ' ')
+
+/**
+ * @desc keywords a regex literal can follow, `return /eh/`
+ */
+const REGEX_KEYWORDS = Object.freeze([
+  'return',
+  'typeof',
+  'instanceof',
+  'in',
+  'of',
+  'new',
+  'delete',
+  'void',
+  'throw',
+  'case',
+  'do',
+  'else',
+  'yield',
+  'await',
+])
+
+/**
+ * @desc whether a `/` starts a regex literal rather than dividing,
+ *       from what came before it
+ *
+ * @param {string} before stripped source up to the `/`
+ * @return {boolean}
+ */
+function startsRegex(before) {
+  let end = before.length
+  while (end > 0 && /\s/.test(before[end - 1])) end -= 1
+  if (end === 0) return true
+  if ('(,=:[!&|?{};+-*%<>~^'.includes(before[end - 1])) return true
+
+  let start = end
+  while (start > 0 && /[\w$]/.test(before[start - 1])) start -= 1
+  return REGEX_KEYWORDS.includes(before.slice(start, end))
+}
+
+/**
+ * @desc blanks out the contents of strings, template literals, regexes & comments
+ *       keeping the length so indexes still line up with the original,
+ *       `${expressions}` inside template literals are kept.
+ *       complete is false when a literal or comment never ends,
+ *       then the source was not read the way the engine reads it
+ *
+ * @param {string} source
+ * @return {Object} { stripped, complete }
+ */
+function scanLiterals(source) {
+  let result = ''
+  let i = 0
+  let braces = 0
+  let complete = true
+  // brace depth where each open `${` started, innermost last
+  const templates = []
+
+  // from inside a template literal to its closing backtick or next `${`
+  const scanTemplate = () => {
+    let stop = i
+    while (
+      stop < source.length &&
+      source[stop] !== '`' &&
+      !(source[stop] === '$' && source[stop + 1] === '{')
+    ) {
+      stop += source[stop] === '\\' ? 2 : 1
+    }
+    stop = Math.min(stop, source.length)
+    result += blank(source.slice(i, stop))
+    i = stop
+
+    if (source[i] === '`') {
+      result += '`'
+      i += 1
+    } else if (i < source.length) {
+      result += '${'
+      i += 2
+      templates.push(braces)
+      braces += 1
+    } else {
+      complete = false
+    }
+  }
+
+  // from after the opening `/` to the closing one, `/` inside [classes] included
+  const scanRegex = () => {
+    let stop = i + 1
+    let inClass = false
+    while (stop < source.length && source[stop] !== '\n') {
+      const char = source[stop]
+      if (char === '\\') stop += 1
+      else if (char === '[') inClass = true
+      else if (char === ']') inClass = false
+      else if (char === '/' && !inClass) break
+      stop += 1
+    }
+    if (source[stop] !== '/') complete = false
+    stop = Math.min(stop + 1, source.length)
+    result += '/' + blank(source.slice(i + 1, stop - 1)) + '/'
+    i = stop
+  }
+
+  while (i < source.length) {
+    const char = source[i]
+    const next = source[i + 1]
+
+    if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i)
+      const stop = end === -1 ? source.length : end
+      result += blank(source.slice(i, stop))
+      i = stop
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2)
+      if (end === -1) complete = false
+      const stop = end === -1 ? source.length : end + 2
+      result += blank(source.slice(i, stop))
+      i = stop
+    } else if (char === '/' && startsRegex(result)) {
+      scanRegex()
+    } else if (char === '"' || char === "'") {
+      let stop = i + 1
+      while (
+        stop < source.length &&
+        source[stop] !== char &&
+        source[stop] !== '\n'
+      ) {
+        stop += source[stop] === '\\' ? 2 : 1
+      }
+      if (source[stop] !== char) complete = false
+      stop = Math.min(stop + 1, source.length)
+      result += char + blank(source.slice(i + 1, stop - 1)) + char
+      i = stop
+    } else if (char === '`') {
+      result += char
+      i += 1
+      scanTemplate()
+    } else if (char === '{') {
+      braces += 1
+      result += char
+      i += 1
+    } else if (char === '}') {
+      braces -= 1
+      result += char
+      i += 1
+      if (
+        templates.length !== 0 &&
+        templates[templates.length - 1] === braces
+      ) {
+        templates.pop()
+        scanTemplate()
+      }
+    } else {
+      result += char
+      i += 1
+    }
+  }
+
+  return {
+    stripped: result.slice(0, source.length),
+    complete: complete && braces === 0 && templates.length === 0,
+  }
+}
+
+/**
+ * @see scanLiterals
+ * @param {string} source
+ * @return {string}
+ * @example
+ *   stripLiterals(`a('constructor(') // b`)
+ *   //=> `a('            ')     `
+ */
+const stripLiterals = source => scanLiterals(source).stripped
+
+/**
+ * @param {Function} fn
+ * @return {boolean}
+ */
+const isClassSource = fn => /^class\b/.test(getSource(fn))
+
+/**
+ * @desc index of the `{` opening the class body,
+ *       skipping braces inside `extends mixin({...})`
+ *
+ * @param {string} stripped source with literals stripped
+ * @return {number}
+ */
+function indexOfClassBody(stripped) {
+  let parens = 0
+  for (let i = 0; i < stripped.length; i++) {
+    const char = stripped[i]
+    if (char === '(') parens += 1
+    else if (char === ')') parens -= 1
+    else if (char === '{' && parens === 0) return i
+  }
+  return -1
+}
+
+/**
+ * @desc whether the class declares its own `constructor() {}` or `'constructor'() {}`,
+ *       anything that is not a class is treated as one big constructor,
+ *       and so is a class whose source could not be read reliably,
+ *       since answering false would let its constructor run
+ *
+ * @param {Function} ctor
+ * @return {boolean}
+ * @example
+ *   hasOwnConstructor(class { eh = 1 })
+ *   //=> false
+ *   hasOwnConstructor(class { constructor() { sideEffect() } })
+ *   //=> true
+ */
+function hasOwnConstructor(ctor) {
+  if (!isClassSource(ctor)) return true
+
+  const source = getSource(ctor)
+  const { stripped, complete } = scanLiterals(source)
+  const start = indexOfClassBody(stripped)
+  if (!complete || start === -1) return true
+  if (indexOfClosing(stripped, start) !== stripped.trimEnd().length - 1) {
+    return true
+  }
+
+  // the quoted key is blanked, `'           '(`, its text is checked below
+  const matcher = /\bconstructor\s*\(|(['"]) {11}\1\s*\(/g
+  let depth = 0
+  let cursor = start
+
+  let match
+  while ((match = matcher.exec(stripped)) !== null) {
+    for (; cursor < match.index; cursor++) {
+      if (stripped[cursor] === '{') depth += 1
+      else if (stripped[cursor] === '}') depth -= 1
+    }
+    const before = stripped.slice(start, match.index).replace(/\s+$/, '')
+    const isQuoted = match[1] !== undefined
+    if (depth !== 1 || before.endsWith('.')) continue
+    // ['constructor']() is a computed key, a plain method
+    if (isQuoted && before.endsWith('[')) continue
+    if (
+      isQuoted &&
+      source.slice(match.index + 1, match.index + 12) !== 'constructor'
+    ) {
+      continue
+    }
+    return true
+  }
+
+  return false
+}
+
+const CLOSERS = Object.freeze({ '{': '}', '(': ')', '[': ']' })
+
+/**
+ * @param {string} stripped source with literals stripped
+ * @param {number} open index of a `{`, `(` or `[`
+ * @return {number} index of the matching closer
+ */
+function indexOfClosing(stripped, open) {
+  const opener = stripped[open]
+  const closer = CLOSERS[opener]
+  let depth = 0
+  for (let i = open; i < stripped.length; i++) {
+    if (stripped[i] === opener) depth += 1
+    else if (stripped[i] === closer) depth -= 1
+    if (depth === 0) return i
+  }
+  return stripped.length - 1
+}
+
+/**
+ * @desc names of the instance fields the class declares, read from its source
+ *       so the constructor does not run. a computed name is `[computed]`,
+ *       a field without initializer is found when it ends with `;`,
+ *       private fields are skipped. source that can't be read reports none
+ *
+ * @param {Function} ctor
+ * @return {Array<string>}
+ * @example
+ *   findFieldNames(class { title = ''; static eh = 1; done; moose() {} })
+ *   //=> ['title', 'done']
+ */
+function findFieldNames(ctor) {
+  if (!isClassSource(ctor)) return []
+
+  const { stripped, complete } = scanLiterals(getSource(ctor))
+  const start = indexOfClassBody(stripped)
+  if (!complete || start === -1) return []
+
+  // the body with everything nested blanked, `eh(a) { b }` is `eh( ) {   }`
+  const end = indexOfClosing(stripped, start)
+  const closers = Object.values(CLOSERS)
+  let depth = 0
+  let top = ''
+  for (let i = start + 1; i < end; i++) {
+    const char = stripped[i]
+    if (char in CLOSERS) {
+      depth += 1
+      top += depth === 1 ? char : ' '
+    } else if (closers.includes(char)) {
+      top += depth === 1 ? char : ' '
+      depth -= 1
+    } else {
+      top += depth === 0 ? char : ' '
+    }
+  }
+
+  const names = []
+  const matcher = /(^|[;})\n])\s*(static\s+)?([\w$]+|\[\s*\])\s*(=(?![=>])|;)/g
+  let match
+  while ((match = matcher.exec(top)) !== null) {
+    // `a = 1; b = 2` shares the `;`
+    matcher.lastIndex = match.index + match[0].length - 1
+    if (match[2] !== undefined) continue
+    names.push(match[3].startsWith('[') ? '[computed]' : match[3])
+  }
+  return names
+}
+
+/**
+ * @param {string} stripped
+ * @param {number} from
+ * @return {string} first non whitespace char at or after from
+ */
+const nextChar = (stripped, from) => {
+  const match = /\S/.exec(stripped.slice(from))
+  return match === null ? '' : match[0]
+}
+
+/**
+ * @desc arrow functions have a lexical this, rebinding does nothing
+ * @param {string} stripped
+ * @return {boolean}
+ */
+function isArrowSource(stripped) {
+  const source = stripped.replace(/^async\s+/, '')
+  if (/^[\w$]+\s*=>/.test(source)) return true
+  if (source[0] !== '(') return false
+  const close = indexOfClosing(source, 0)
+  return source
+    .slice(close + 1)
+    .trim()
+    .startsWith('=>')
+}
+
+/**
+ * @param {string} stripped source of an arrow function
+ * @return {number} index of the `(` opening its parameters,
+ *         -1 for one parameter without parentheses
+ */
+function indexOfArrowParams(stripped) {
+  const params = stripped.length - stripped.replace(/^async\s+/, '').length
+  return stripped[params] === '(' ? params : -1
+}
+
+/**
+ * @desc index of the `(` opening the parameters of a method or function,
+ *       skipping computed keys
+ *
+ * @param {string} stripped
+ * @param {number} [from=0]
+ * @return {number}
+ */
+function indexOfParams(stripped, from = 0) {
+  let brackets = 0
+  for (let i = from; i < stripped.length; i++) {
+    const char = stripped[i]
+    if (char === '[') brackets += 1
+    else if (char === ']') brackets -= 1
+    else if (char === '(' && brackets === 0) return i
+  }
+  return -1
+}
+
+/**
+ * @param {string} stripped source of an arrow function
+ * @return {number} index of its `=>`, after the parameters
+ */
+function indexOfArrow(stripped) {
+  const params = indexOfArrowParams(stripped)
+  if (params === -1) return stripped.indexOf('=>')
+  return stripped.indexOf('=>', indexOfClosing(stripped, params))
+}
+
+/**
+ * @desc index of the `{` opening a function body, works for methods,
+ *       accessors, computed keys, generators and function expressions
+ *
+ * @param {string} stripped
+ * @param {number} [from=0]
+ * @return {number}
+ */
+function indexOfFunctionBody(stripped, from = 0) {
+  const params = indexOfParams(stripped, from)
+  if (params === -1) return -1
+  return stripped.indexOf('{', indexOfClosing(stripped, params))
+}
+
+/**
+ * @desc words followed by `(` that are not method shorthands
+ */
+const CONTROL_KEYWORDS = Object.freeze([
+  'if',
+  'for',
+  'while',
+  'switch',
+  'catch',
+  'with',
+  'return',
+  'typeof',
+  'await',
+  'yield',
+  'function',
+])
+
+/**
+ * @desc ranges of functions nested in the body that get their own this:
+ *       function expressions & declarations, classes, object literal methods
+ *
+ * @param {string} stripped
+ * @param {number} start
+ * @param {number} end
+ * @return {Array<Array<number>>} [[open, close]]
+ */
+function findOwnThisScopes(stripped, start, end) {
+  const scopes = []
+  const body = stripped.slice(0, end)
+  const matcher = /(^|[^.\w$])(function\b|class\b|([\w$]+|\])\s*\()/g
+  matcher.lastIndex = start
+
+  let match
+  while ((match = matcher.exec(body)) !== null) {
+    const at = match.index + match[1].length
+    let open = -1
+
+    if (match[2] === 'function') {
+      open = indexOfFunctionBody(stripped, at)
+    } else if (match[2] === 'class') {
+      open = at + indexOfClassBody(stripped.slice(at))
+    } else if (!CONTROL_KEYWORDS.includes(match[3])) {
+      const paren = stripped.indexOf('(', at)
+      const close = indexOfClosing(stripped, paren)
+      if (nextChar(stripped, close + 1) === '{') {
+        open = stripped.indexOf('{', close)
+      }
+    }
+
+    if (open > -1 && open < end) {
+      const close = indexOfClosing(stripped, open)
+      scopes.push([open, close])
+      matcher.lastIndex = close + 1
+    } else {
+      matcher.lastIndex = at + 1
+    }
+  }
+
+  return scopes
+}
+
+/**
+ * @desc `this` & `super` between start & end, outside nested scopes
+ *
+ * @param {string} source
+ * @param {string} stripped
+ * @param {number} start index of the opening bracket, or of the arrow
+ * @param {number} end index of the closing bracket
+ * @return {Array<ThisReference>} [{ keyword, line }]
+ */
+function findKeywordsIn(source, stripped, start, end) {
+  const scopes = findOwnThisScopes(stripped, start + 1, end)
+  const isInNestedScope = index =>
+    scopes.some(([open, close]) => index > open && index < close)
+
+  const references = []
+  const matcher = /(^|[^.\w$])(this|super)\b/g
+  matcher.lastIndex = start
+
+  let match
+  while ((match = matcher.exec(stripped)) !== null && match.index < end) {
+    const index = match.index + match[1].length
+    if (!isInNestedScope(index)) {
+      references.push({
+        keyword: match[2],
+        line: source.slice(0, index).split('\n').length,
+      })
+    }
+    matcher.lastIndex = index + match[2].length
+  }
+
+  return references
+}
+
+/**
+ * @desc finds `this` & `super` referring to the function's own receiver,
+ *       skipping nested functions, classes & object methods that have their own.
+ *       an arrow function is read too, as a field `eh = () => this.moose`
+ *       its this is the instance the fields were read from, not the blank object.
+ *       default parameters are read too, `moose(eh = this.eh) {}`
+ *
+ * @param {Function} fn
+ * @return {Array<ThisReference>} [{ keyword, line }]
+ * @example
+ *   findThisReferences(function() { return this.eh })
+ *   //=> [{ keyword: 'this', line: 1 }]
+ *   findThisReferences(function() { return function() { return this } })
+ *   //=> []
+ */
+function findThisReferences(fn) {
+  const source = getSource(fn)
+  const stripped = stripLiterals(source)
+
+  let params
+  let start
+  let end
+  if (isArrowSource(stripped)) {
+    // `=> this.eh` has no braces, the body runs to the end
+    params = indexOfArrowParams(stripped)
+    const arrow = indexOfArrow(stripped)
+    const isBlock = nextChar(stripped, arrow + 2) === '{'
+    start = isBlock ? stripped.indexOf('{', arrow) : arrow + 1
+    end = isBlock ? indexOfClosing(stripped, start) : stripped.length
+  } else {
+    params = indexOfParams(stripped)
+    start = indexOfFunctionBody(stripped)
+    if (start === -1) return []
+    end = indexOfClosing(stripped, start)
+  }
+
+  // default parameters, `moose(a = this.eh) {}`, then the body
+  const ranges = [[start, end]]
+  if (params !== -1) ranges.unshift([params, indexOfClosing(stripped, params)])
+
+  return ranges.reduce(
+    (references, [from, to]) =>
+      references.concat(findKeywordsIn(source, stripped, from, to)),
+    []
+  )
+}
+
+/**
+ * @desc name of the first parameter, undefined when destructured or missing
+ * @param {Function} fn
+ * @return {string | undefined}
+ * @example
+ *   firstParamName(self => class {}) //=> 'self'
+ */
+function firstParamName(fn) {
+  const stripped = stripLiterals(getSource(fn)).replace(/^async\s+/, '')
+  const match =
+    /^([\w$]+)\s*=>/.exec(stripped) ||
+    /^(?:function\b[^(]*)?\(\s*([\w$]+)\s*[,)=]/.exec(stripped)
+  return match === null ? undefined : match[1]
+}
+
+/**
+ * @desc assignments, updates & deletes of `name.property` after the first await,
+ *       in an async function those run outside of the action that called it
+ *
+ * @param {Function} fn async function
+ * @param {string} name variable to look for, 'self'
+ * @return {Array<Object>} [{ property, line }]
+ * @example
+ *   findWritesAfterAwait(async () => { await eh; self.done = true }, 'self')
+ *   //=> [{ property: '.done', line: 1 }]
+ */
+function findWritesAfterAwait(fn, name) {
+  const source = getSource(fn)
+  const stripped = stripLiterals(source)
+  const body = isArrowSource(stripped)
+    ? indexOfArrow(stripped)
+    : indexOfFunctionBody(stripped)
+  const awaited = stripped.slice(body).search(/(^|[^.\w$])await\b/)
+  if (body === -1 || awaited === -1) return []
+
+  const escaped = name.replace(/\$/g, '\\$')
+  const member = `(?:\\.[\\w$]+|\\[[^\\]]*\\])+`
+  const matcher = new RegExp(
+    `(^|[^.\\w$])(?:(\\+\\+|--|delete\\s+)${escaped}(${member})|${escaped}(${member})\\s*(?:\\+\\+|--|(?:[-+*/%&|^]|\\*\\*|<<|>>>?|&&|\\|\\||\\?\\?)?=(?!=)))`,
+    'g'
+  )
+  matcher.lastIndex = body + awaited
+
+  const writes = []
+  let match
+  while ((match = matcher.exec(stripped)) !== null) {
+    const index = match.index + match[1].length
+    // the stripped source has blanked strings, read the property from the source
+    const at = index + (match[2] || '').length + name.length
+    const property = source.slice(at, at + (match[3] || match[4]).length)
+    writes.push({
+      property,
+      line: source.slice(0, index).split('\n').length,
+    })
+  }
+  return writes
+}
+
+module.exports = {
+  getSource,
+  stripLiterals,
+  scanLiterals,
+  isClassSource,
+  indexOfClassBody,
+  hasOwnConstructor,
+  findFieldNames,
+  indexOfClosing,
+  indexOfFunctionBody,
+  isArrowSource,
+  findThisReferences,
+  firstParamName,
+  findWritesAfterAwait,
+}
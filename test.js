@@ -1,12 +1,48 @@
-const { types } = require('mobx-state-tree')
+const { types, getSnapshot } = require('mobx-state-tree')
+require('./statetree')
+const {
+  withClasses,
+  unwrap,
+  install,
+  uninstall,
+  isInstalled,
+  modelFromClass,
+  prop,
+} = require('./mst')
 const {
   selfless,
   thisless,
   toBlankObj,
+  toClass,
   getOwnPrototypeNames,
+  getPrototypeChain,
+  superOf,
+  describe: describeBlankObj,
+  getMemberKeys,
+  getInstanceFields,
+  getOwnPrototypeKeys,
+  createMemberFilter,
   NATIVE_PROPS_NON_ENUMERABLE,
   isUndefined,
 } = require('./index')
+const { compose, composeWith, ComposeConflictError } = require('./compose')
+const { findThisUsage, ThisUsageError } = require('./checkThis')
+const { bind, trace, catchAndReport } = require('./intercept')
+const { findThisReferences, stripLiterals, scanLiterals } = require('./source')
+const { asReduxStore, connectDevtools } = require('./redux')
+const { memoryStorage, fileStorage } = require('./persist')
+const { skipHistory } = require('./history')
+const { replayActions } = require('./actionLog')
+const { memo } = require('./memo')
+const { hot, swap, onHotSwap, isHot } = require('./hot')
+const { reducerFromClass } = require('./reducer')
+const { observableFromClass } = require('./observable')
+const {
+  ThislessError,
+  ThislessInputError,
+  SelflessFactoryError,
+  LifecycleHookError,
+} = require('./errors')
 
 // ------- jest setup
 /**
@@ -187,6 +223,2487 @@ test('thisless will never allow instantiation', () => {
   shallowEquals(blankObj.eh, plainObjWithInitializer.eh)
 })
 
+test('thisless flattens extends chains, subclass overrides base', () => {
+  class Base {
+    get aboot() {
+      return 1
+    }
+    moose() {
+      return 'base'
+    }
+    igloo() {
+      return 'igloo'
+    }
+  }
+  class Sub extends Base {
+    get aboot() {
+      return 100
+    }
+    moose() {
+      return 'sub ' + super.moose()
+    }
+  }
+  const blank = thisless(Sub)
+
+  expect(Object.keys(blank).sort()).toEqual(['aboot', 'igloo', 'moose'])
+  expect(blank.aboot).toBe(100)
+  expect(blank.igloo()).toBe('igloo')
+
+  // native super keeps its home object when copied
+  expect(blank.moose()).toBe('sub base')
+  expect(superOf(blank).moose()).toBe('base')
+  expect(superOf(blank).aboot).toBe(1)
+  expect(superOf(superOf(blank))).toBe(undefined)
+  expect(getPrototypeChain(Sub.prototype)).toEqual([
+    Base.prototype,
+    Sub.prototype,
+  ])
+})
+
+describe('class fields', () => {
+  const getFielded = self =>
+    class {
+      eh = () => self
+      igloo = self.igloo
+      get aboot() {
+        return 100
+      }
+    }
+
+  test('are ignored unless asked for', () => {
+    const blank = selfless(getFielded, $selfthis)
+
+    expect(Object.keys(blank)).toEqual(['aboot'])
+  })
+
+  test('selfless merges fields with prototype members', () => {
+    const blank = selfless(getFielded, $selfthis, { fields: true })
+
+    expect(Object.keys(blank).sort()).toEqual(['aboot', 'eh', 'igloo'])
+    expect(blank.eh()).toBe($selfthis)
+    expect(blank.igloo).toBe('igloomoose')
+    expect(blank.aboot).toBe(100)
+  })
+
+  test('inherited fields are collected', () => {
+    class Base {
+      eh = 'base'
+      moose = 'moose'
+    }
+    const blank = thisless(
+      class extends Base {
+        eh = 'sub'
+      },
+      { fields: true }
+    )
+
+    expect(blank.eh).toBe('sub')
+    expect(blank.moose).toBe('moose')
+  })
+
+  test('a field shadows an accessor of the same name', () => {
+    const blank = thisless(
+      class {
+        aboot = 1
+        get aboot() {
+          return 100
+        }
+      },
+      { fields: true }
+    )
+    const descriptor = Object.getOwnPropertyDescriptor(blank, 'aboot')
+
+    expect(blank.aboot).toBe(1)
+    expect(descriptor.get).toBe(undefined)
+    expect(descriptor.enumerable).toBe(true)
+  })
+
+  test('constructors are never run', () => {
+    const sideEffect = jest.fn()
+    const WithConstructor = class {
+      eh = 'eh'
+      constructor() {
+        sideEffect()
+      }
+    }
+
+    expect(() => thisless(WithConstructor, { fields: true })).toThrow(
+      /constructor/
+    )
+    expect(() => getInstanceFields(class extends WithConstructor {})).toThrow()
+    expect(sideEffect).not.toHaveBeenCalled()
+
+    // strings & comments mentioning constructor are fine
+    const blank = thisless(
+      class {
+        // constructor() {}
+        eh = 'constructor()'
+        moose() {
+          return this.constructor()
+        }
+      },
+      { fields: true }
+    )
+    expect(blank.eh).toBe('constructor()')
+  })
+
+  test('a quote inside a regex does not hide the constructor', () => {
+    const sideEffect = jest.fn()
+    const WithRegex = class {
+      moose(igloo) {
+        return /'/.test(igloo)
+      }
+      eh = 1
+      constructor() {
+        sideEffect()
+      }
+    }
+
+    expect(() => thisless(WithRegex, { fields: true })).toThrow(/constructor/)
+    expect(sideEffect).not.toHaveBeenCalled()
+    expect(
+      thisless(
+        class {
+          eh = 1
+          moose(a, b) {
+            return /[/']/.test(a) ? a / b : `${b}'`
+          }
+        },
+        { fields: true }
+      ).eh
+    ).toBe(1)
+  })
+
+  test('a quoted constructor key is the constructor', () => {
+    const sideEffect = jest.fn()
+    const Quoted = class {
+      constructor() {
+        sideEffect()
+      }
+      eh = 1
+    }
+
+    expect(() => thisless(Quoted, { fields: true })).toThrow(/constructor/)
+    expect(sideEffect).not.toHaveBeenCalled()
+    // a computed key named constructor is a plain method
+    expect(
+      thisless(
+        class {
+          ['constructor']() {}
+          eh = 1
+        },
+        { fields: true }
+      ).eh
+    ).toBe(1)
+  })
+
+  test('source that cannot be read is reported incomplete', () => {
+    // hasOwnConstructor answers true for these, so no constructor runs
+    expect(scanLiterals("class { eh = '1 }").complete).toBe(false)
+    expect(scanLiterals('class { eh = /1 }').complete).toBe(false)
+    expect(stripLiterals("a(/'/.test(x)) + 'b'")).toBe("a(/ /.test(x)) + ' '")
+  })
+})
+
+describe('symbol keys', () => {
+  const hook = Symbol('hook')
+  const getSymboled = () =>
+    class {
+      *[Symbol.iterator]() {
+        yield 1
+        yield 2
+      }
+      [Symbol.toPrimitive]() {
+        return 42
+      }
+      static [Symbol.hasInstance]() {
+        return true
+      }
+      [Symbol.species]() {
+        return Array
+      }
+      [hook]() {
+        return 'hooked'
+      }
+    }
+
+  test('custom and safe well-known symbols are copied', () => {
+    const blank = thisless(getSymboled())
+
+    expect([...blank]).toEqual([1, 2])
+    expect(+blank).toBe(42)
+    expect(blank[hook]()).toBe('hooked')
+    expect(blank[Symbol.species]).toBe(undefined)
+    expect(Object.getOwnPropertyDescriptor(blank, hook).enumerable).toBe(true)
+
+    // keys stay the string keys
+    expect(Object.keys(blank)).toEqual([])
+  })
+
+  test('wellKnownSymbols policy', () => {
+    const all = thisless(getSymboled(), { wellKnownSymbols: 'all' })
+    const none = thisless(getSymboled(), { wellKnownSymbols: 'none' })
+    const onlyIterator = thisless(getSymboled(), {
+      wellKnownSymbols: symbol => symbol === Symbol.iterator,
+    })
+
+    expect(typeof all[Symbol.species]).toBe('function')
+    expect(none[Symbol.iterator]).toBe(undefined)
+    expect(none[hook]()).toBe('hooked')
+    expect([...onlyIterator]).toEqual([1, 2])
+    expect(onlyIterator[Symbol.toPrimitive]).toBe(undefined)
+    expect(() => thisless(getSymboled(), { wellKnownSymbols: 'eh' })).toThrow()
+  })
+
+  test('getOwnPrototypeKeys includes symbols after names', () => {
+    const keys = getOwnPrototypeKeys(getSymboled().prototype)
+
+    expect(keys).toEqual([Symbol.iterator, Symbol.toPrimitive, hook])
+  })
+})
+
+describe('statics', () => {
+  const getApi = self =>
+    class Api {
+      static version = 2
+      static get igloo() {
+        return self.igloo
+      }
+      static ping() {
+        return 'pong'
+      }
+      static users = class {
+        fetch() {
+          return 'users'
+        }
+        static admins = class {
+          static fetch() {
+            return 'admins'
+          }
+        }
+      }
+      moose() {
+        return 'moose'
+      }
+    }
+
+  test('are ignored unless asked for', () => {
+    const blank = thisless(getApi($selfthis))
+
+    expect(Object.keys(blank)).toEqual(['moose'])
+  })
+
+  test('become members, static classes become namespaces', () => {
+    const api = selfless(getApi, $selfthis, { statics: true })
+
+    expect(Object.keys(api).sort()).toEqual([
+      'igloo',
+      'moose',
+      'ping',
+      'users',
+      'version',
+    ])
+    expect(api.version).toBe(2)
+    expect(api.igloo).toBe('igloomoose')
+    expect(Object.getOwnPropertyDescriptor(api, 'igloo').get).toBeDefined()
+    expect(api.ping()).toBe('pong')
+    expect(api.users.fetch()).toBe('users')
+    expect(api.users.admins.fetch()).toBe('admins')
+    expect(Object.getPrototypeOf(api.users)).toBe(null)
+    expect(api.name).toBe(undefined)
+    expect(api.length).toBe(undefined)
+  })
+
+  test('inherited statics and a static name are kept', () => {
+    class Base {
+      static ping() {
+        return 'base'
+      }
+    }
+    const blank = thisless(
+      class extends Base {
+        static name = 'Named'
+      },
+      { statics: true }
+    )
+
+    expect(blank.ping()).toBe('base')
+    expect(blank.name).toBe('Named')
+  })
+
+  test('classes referring back to each other', () => {
+    class Igloo {
+      static Self = Igloo
+      static moose = class Moose {
+        static igloo = Igloo
+        eh() {}
+      }
+    }
+    const blank = thisless(Igloo, { statics: true })
+
+    expect(blank.Self).toBe(blank)
+    expect(blank.moose.igloo).toBe(blank)
+    expect(typeof blank.moose.eh).toBe('function')
+  })
+})
+
+describe('compose', () => {
+  const calls = []
+  class Shared {
+    shared() {
+      return 'shared'
+    }
+  }
+  class Logging extends Shared {
+    get aboot() {
+      calls.push('aboot')
+      return 1
+    }
+    moose(x) {
+      calls.push('logging ' + x)
+      return 'logging'
+    }
+  }
+  class Actions extends Shared {
+    moose(x) {
+      calls.push('actions ' + x)
+      return 'actions'
+    }
+    igloo() {
+      return 'igloo'
+    }
+  }
+
+  beforeEach(() => {
+    calls.length = 0
+  })
+
+  test('merges descriptors without evaluating getters', () => {
+    const composed = compose(
+      Logging,
+      { extra: 'extra' },
+      thisless(
+        class {
+          igloo2() {}
+        }
+      )
+    )
+
+    expect(calls).toEqual([])
+    expect(Object.getOwnPropertyDescriptor(composed, 'aboot').get).toBeDefined()
+    expect(Object.keys(composed).sort()).toEqual([
+      'aboot',
+      'extra',
+      'igloo2',
+      'moose',
+      'shared',
+    ])
+  })
+
+  test('throws with every conflict and its sources', () => {
+    const Other = class Other {
+      igloo() {}
+      moose() {}
+    }
+
+    expect(() => compose(Logging, Actions, Other)).toThrow(
+      'compose: conflicting members moose (Logging, Actions, Other), igloo (Actions, Other)'
+    )
+
+    expect(() =>
+      compose(thisless(Logging), thisless(Actions), { moose() {} })
+    ).toThrow(
+      'compose: conflicting members moose (Logging, Actions, sources[2])'
+    )
+
+    try {
+      compose(Logging, Actions)
+    } catch (error) {
+      expect(error).toBeInstanceOf(ComposeConflictError)
+      expect(error.conflicts).toEqual([
+        { key: 'moose', sources: ['Logging', 'Actions'] },
+      ])
+    }
+  })
+
+  test('first, last, per member & custom strategies', () => {
+    const conflicts = []
+    const first = composeWith(
+      { strategy: 'first', onConflict: x => conflicts.push(x) },
+      Logging,
+      Actions
+    )
+    const last = composeWith({ strategy: 'last' }, Logging, Actions)
+    const perMember = composeWith(
+      { strategies: { moose: 'last' } },
+      Logging,
+      Actions
+    )
+    const custom = composeWith(
+      { strategy: (key, descriptors) => ({ value: () => descriptors.length }) },
+      Logging,
+      Actions
+    )
+
+    expect(first.moose()).toBe('logging')
+    expect(conflicts).toEqual([
+      { key: 'moose', sources: ['Logging', 'Actions'] },
+    ])
+    expect(last.moose()).toBe('actions')
+    expect(perMember.moose()).toBe('actions')
+    expect(custom.moose()).toBe(2)
+    expect(() => composeWith({ strategy: 'eh' }, Logging, Actions)).toThrow()
+  })
+
+  test('chain calls both methods in order', () => {
+    const chained = composeWith({ strategy: 'chain' }, Logging, Actions)
+
+    expect(chained.moose('x')).toBe('actions')
+    expect(calls).toEqual(['logging x', 'actions x'])
+    expect(chained.moose.name).toBe('moose')
+    expect(() =>
+      composeWith({ strategy: 'chain' }, { eh: 1 }, { eh: 2 })
+    ).toThrow(/only methods/)
+  })
+
+  test('hidden private members are kept hidden', () => {
+    class Igloo {
+      _helper() {
+        return 'helped'
+      }
+      moose() {
+        return 'moose'
+      }
+    }
+    const composed = composeWith({ privatePrefix: '_' }, Igloo, { eh() {} })
+
+    expect(Object.keys(composed)).toEqual(['moose', 'eh'])
+    expect(composed._helper()).toBe('helped')
+    expect(Object.getOwnPropertySymbols(composed)).toEqual([])
+  })
+})
+
+describe('member filtering', () => {
+  const getFiltered = self =>
+    class {
+      _helper() {
+        return self.igloo
+      }
+      debugLog() {}
+      debugWarn() {}
+      toString() {
+        return 'filtered'
+      }
+      moose() {
+        return this._helper()
+      }
+    }
+
+  test('natives are dropped by default, private members are hidden', () => {
+    const blank = selfless(getFiltered, $selfthis, { privatePrefix: '_' })
+
+    expect(Object.keys(blank)).toEqual(['debugLog', 'debugWarn', 'moose'])
+    expect(blank._helper()).toBe('igloomoose')
+    expect(blank.toString).toBe(undefined)
+  })
+
+  test('private members can be dropped', () => {
+    const blank = selfless(getFiltered, $selfthis, {
+      privatePrefix: '_',
+      privateMembers: 'drop',
+    })
+
+    expect('_helper' in blank).toBe(false)
+    expect(() => thisless(getFiltered(), { privateMembers: 'eh' })).toThrow()
+  })
+
+  test('include & exclude take strings, regexes, predicates or arrays', () => {
+    const excluded = thisless(getFiltered(), { exclude: [/^debug/, '_helper'] })
+    const included = thisless(getFiltered(), {
+      include: ['toString', key => key === 'moose'],
+    })
+
+    expect(Object.keys(excluded)).toEqual(['moose'])
+    expect(Object.keys(included)).toEqual(['toString', 'moose'])
+    expect(String(included)).toBe('filtered')
+  })
+
+  test('createMemberFilter', () => {
+    const filter = createMemberFilter({
+      exclude: /^debug/g,
+      privatePrefix: '_',
+    })
+
+    expect(filter.includes('debugLog')).toBe(false)
+    expect(filter.includes('debugWarn')).toBe(false)
+    expect(filter.includes('constructor')).toBe(false)
+    expect(filter.includes('_helper')).toBe(true)
+    expect(filter.hides('_helper')).toBe(true)
+    expect(filter.hides('moose')).toBe(false)
+  })
+
+  test('state tree actions & views take the same options', () => {
+    const Filtered = types
+      .model({ done: false })
+      .actions(
+        self =>
+          class {
+            toggle() {
+              self.done = !self.done
+            }
+            debugToggle() {}
+          },
+        { exclude: /^debug/ }
+      )
+      .views(
+        self =>
+          class {
+            get _inverted() {
+              return !self.done
+            }
+          },
+        { privatePrefix: '_', privateMembers: 'drop' }
+      )
+    const state = Filtered.create()
+
+    state.toggle()
+    expect(state.done).toBe(true)
+    expect(state.debugToggle).toBe(undefined)
+    expect(state._inverted).toBe(undefined)
+  })
+})
+
+describe('checkThis', () => {
+  const getThisful = () =>
+    class Thisful {
+      get aboot() {
+        return this.igloo
+      }
+      set aboot(igloo) {
+        this.igloo = igloo
+      }
+      moose() {
+        return super.toString() + this.igloo + this.igloo
+      }
+      nested() {
+        const obj = {
+          method() {
+            return this
+          },
+        }
+        return function() {
+          return this
+        }.call(obj)
+      }
+      arrow() {
+        return [1].map(() => this)
+      }
+      fine() {
+        // this is fine
+        return 'this'
+      }
+    }
+
+  test('findThisReferences skips nested functions, strings & comments', () => {
+    const proto = getThisful().prototype
+    const desc = Object.getOwnPropertyDescriptor(proto, 'aboot')
+
+    expect(findThisReferences(desc.get)).toEqual([{ keyword: 'this', line: 2 }])
+    expect(findThisReferences(proto.nested)).toEqual([])
+    expect(findThisReferences(proto.fine)).toEqual([])
+    expect(findThisReferences(proto.arrow)).toEqual([
+      { keyword: 'this', line: 2 },
+    ])
+    expect(findThisReferences(() => this)).toEqual([
+      { keyword: 'this', line: 1 },
+    ])
+    expect(
+      findThisReferences(
+        {
+          moose(
+            a = this.eh,
+            b = function() {
+              return this
+            }
+          ) {},
+        }.moose
+      )
+    ).toEqual([{ keyword: 'this', line: 1 }])
+    // the => of a default parameter is not the body
+    expect(
+      findThisReferences((a = () => 1) => [
+        this,
+        function() {
+          return this
+        },
+      ]).map(ref => ref.keyword)
+    ).toEqual(['this'])
+  })
+
+  test('arrow fields using this are reported', () => {
+    const getFielded = self =>
+      class Fielded {
+        eh = () => this.moose
+        igloo = () => {
+          return [1].map(() => self.moose)
+        }
+      }
+
+    expect(() =>
+      selfless(getFielded, {}, { fields: true, checkThis: 'throw' })
+    ).toThrow('thisless: Fielded.eh (method) uses this on line 1')
+    expect(
+      findThisUsage(selfless(getFielded, {}, { fields: true }), 'Fielded')
+    ).toHaveLength(1)
+  })
+
+  test('reports class, member, kind & keyword', () => {
+    const blank = thisless(getThisful())
+    const usages = findThisUsage(blank, 'Thisful').map(
+      ({ key, kind, keyword }) => `${key} ${kind} ${keyword}`
+    )
+
+    expect(usages).toEqual([
+      'aboot getter this',
+      'aboot setter this',
+      'moose method super',
+      'moose method this',
+      'moose method this',
+      'arrow method this',
+    ])
+  })
+
+  test('warn', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    thisless(getThisful(), { checkThis: 'warn' })
+
+    expect(warn).toHaveBeenCalledTimes(6)
+    expect(warn).toHaveBeenCalledWith(
+      'thisless: Thisful.aboot (getter) uses this on line 2'
+    )
+    warn.mockRestore()
+  })
+
+  test('throw', () => {
+    expect(() => thisless(getThisful(), { checkThis: 'throw' })).toThrow(
+      ThisUsageError
+    )
+    expect(() =>
+      selfless(getSelflessed, $selfthis, { checkThis: 'throw' })
+    ).not.toThrow()
+    expect(() => thisless(getThisful(), { checkThis: 'eh' })).toThrow()
+  })
+
+  test('bind', () => {
+    const blank = thisless(getThisful(), { checkThis: 'bind' })
+    const { moose, arrow } = blank
+
+    blank.aboot = 'igloo'
+    expect(blank.aboot).toBe('igloo')
+    // the blank object is tagged with the class name
+    expect(moose()).toBe('[object Thisful]iglooigloo')
+    expect(arrow()).toEqual([blank])
+  })
+})
+
+describe('interceptors', () => {
+  const getApi = () =>
+    class Api {
+      get token() {
+        return this.secret
+      }
+      set token(secret) {
+        this.secret = secret
+      }
+      fetchTodos(page) {
+        if (page < 0) throw new Error(`no page ${page}`)
+        return [page]
+      }
+      async save() {
+        throw new Error('offline')
+      }
+      *load() {
+        yield 1
+      }
+    }
+
+  test('each interceptor gets key, kind & the function, accessors stay accessors', () => {
+    const seen = []
+    const blank = thisless(getApi(), {
+      intercept: ({ key, kind, fn }) => {
+        seen.push(`${key} ${kind}`)
+        return kind === 'method'
+          ? (...args) => ['intercepted', fn(...args)]
+          : undefined
+      },
+    })
+    const descriptor = Object.getOwnPropertyDescriptor(blank, 'token')
+
+    expect(seen).toEqual([
+      'token getter',
+      'token setter',
+      'fetchTodos method',
+      'save method',
+      'load method',
+    ])
+    expect(typeof descriptor.get).toBe('function')
+    expect(typeof descriptor.set).toBe('function')
+    expect(blank.fetchTodos(1)).toEqual(['intercepted', [1]])
+    expect(
+      toBlankObj(
+        { eh: () => 1 },
+        { intercept: ({ fn }) => () => fn() + 1 }
+      ).eh()
+    ).toBe(2)
+    expect(() => thisless(getApi(), { intercept: () => 'eh' })).toThrow(
+      ThislessInputError
+    )
+    expect(() => thisless(getApi(), { intercept: ['eh'] })).toThrow(
+      ThislessInputError
+    )
+  })
+
+  test('bind, trace & catchAndReport', async () => {
+    const calls = []
+    const reports = []
+    const blank = thisless(getApi(), {
+      intercept: [
+        bind(),
+        trace(({ key, kind, args }) => calls.push([key, kind, args])),
+        catchAndReport((error, { key }) => reports.push([key, error.message])),
+      ],
+    })
+    const { fetchTodos, load } = blank
+
+    blank.token = 'moose'
+    expect(blank.token).toBe('moose')
+    expect(fetchTodos(2)).toEqual([2])
+    expect(fetchTodos(-1)).toBe(undefined)
+    await expect(blank.save()).resolves.toBe(undefined)
+    expect(load()[Symbol.iterator]).toBeDefined()
+
+    expect(calls).toEqual([
+      ['token', 'setter', ['moose']],
+      ['token', 'getter', []],
+      ['fetchTodos', 'method', [2]],
+      ['fetchTodos', 'method', [-1]],
+      ['save', 'method', []],
+    ])
+    expect(reports).toEqual([
+      ['fetchTodos', 'no page -1'],
+      ['save', 'offline'],
+    ])
+  })
+})
+
+describe('errors', () => {
+  const catchError = fn => {
+    try {
+      fn()
+    } catch (error) {
+      return error
+    }
+    throw new Error('expected an error')
+  }
+
+  test('thisless rejects values it cannot convert', () => {
+    const undef = catchError(() => thisless(undefined))
+    const number = catchError(() => thisless(42))
+    const arrow = catchError(() => thisless(() => {}))
+    const instance = catchError(() => thisless(new Date()))
+
+    expect(undef).toBeInstanceOf(ThislessInputError)
+    expect(undef).toBeInstanceOf(ThislessError)
+    expect(undef.valueType).toBe('undefined')
+    expect(number.message).toMatch(
+      'thisless: expected a class or plain object, received number'
+    )
+    expect(arrow.valueType).toBe('arrow function')
+    expect(arrow.hint).toMatch(/selfless/)
+    expect(instance.valueType).toBe('Date instance')
+    expect(instance.hint).toMatch(/not an instance/)
+    expect(() => thisless(class {}, 'fields')).toThrow(ThislessInputError)
+  })
+
+  test('selfless rejects bad factories and what they return', () => {
+    const notFactory = catchError(() => selfless(42, $selfthis))
+    const nothing = catchError(() =>
+      selfless(function actionsFactory(self) {
+        class Forgot {}
+      }, $selfthis)
+    )
+    const curried = catchError(() => selfless(self => 'eh')($selfthis))
+
+    expect(notFactory).toBeInstanceOf(ThislessInputError)
+    expect(nothing).toBeInstanceOf(SelflessFactoryError)
+    expect(nothing.factoryName).toBe('actionsFactory')
+    expect(nothing.valueType).toBe('undefined')
+    expect(nothing.message).toMatch(
+      'selfless: actionsFactory returned undefined, expected a class or plain object'
+    )
+    expect(nothing.hint).toMatch(/return the class/)
+    expect(curried.factoryName).toBe('anonymous factory')
+    expect(curried.valueType).toBe('string')
+  })
+
+  test('other entry points validate up front', () => {
+    expect(() => toBlankObj(null)).toThrow(ThislessInputError)
+    expect(() => superOf(undefined)).toThrow(ThislessInputError)
+    expect(() => getInstanceFields({})).toThrow(ThislessInputError)
+    expect(() => compose(class {}, 42)).toThrow(
+      'compose: expected a class or object for sources[1], received number'
+    )
+  })
+
+  test('state tree entry points validate up front', () => {
+    const Model = types.model({ done: false })
+
+    expect(() => Model.actions(undefined)).toThrow(ThislessInputError)
+    expect(() => Model.views({ eh: 1 })).toThrow(
+      '.views(self => class { ... })'
+    )
+    expect(() => Model.actions(self => class {}, 1)).toThrow(ThislessInputError)
+    expect(() => Model.createStore(42)).toThrow(ThislessInputError)
+    expect(Model.createStore().state.done).toBe(false)
+  })
+})
+
+describe('layout cache', () => {
+  test('thisless of the same class sees later prototype changes', () => {
+    class Cached {
+      moose() {}
+    }
+
+    expect(Object.keys(thisless(Cached))).toEqual(['moose'])
+    expect(Object.keys(thisless(Cached))).toEqual(['moose'])
+
+    Cached.prototype.igloo = function() {}
+    expect(Object.keys(thisless(Cached))).toEqual(['moose', 'igloo'])
+  })
+
+  test('selfless reuses the layout, members still close over each self', () => {
+    const first = selfless(getSelflessed, { igloo: 'first' })
+    const second = selfless(getSelflessed, { igloo: 'second' })
+
+    expect(first.moose()).toBe('first')
+    expect(second.moose()).toBe('second')
+    expect(Object.keys(second)).toEqual(['aboot', 'moose'])
+  })
+
+  test('options are part of the layout', () => {
+    const options = { exclude: 'moose' }
+
+    expect(Object.keys(selfless(getSelflessed, $selfthis, options))).toEqual([
+      'aboot',
+    ])
+    expect(Object.keys(selfless(getSelflessed, $selfthis))).toEqual([
+      'aboot',
+      'moose',
+    ])
+  })
+
+  test('a computed key that changes recomputes the layout', () => {
+    const getComputed = self =>
+      class {
+        [self.name]() {
+          return self.name
+        }
+      }
+
+    expect(Object.keys(selfless(getComputed, { name: 'eh' }))).toEqual(['eh'])
+    expect(Object.keys(selfless(getComputed, { name: 'moose' }))).toEqual([
+      'moose',
+    ])
+    expect(
+      Object.keys(selfless(getComputed, { name: 'igloo' }, { cache: false }))
+    ).toEqual(['igloo'])
+  })
+
+  test('computed keys that stop colliding are all kept', () => {
+    const getPair = self =>
+      class {
+        [self.a]() {}
+        [self.b]() {}
+      }
+
+    expect(Object.keys(selfless(getPair, { a: 'eh', b: 'eh' }))).toEqual(['eh'])
+    expect(Object.keys(selfless(getPair, { a: 'eh', b: 'moose' }))).toEqual([
+      'eh',
+      'moose',
+    ])
+  })
+
+  test('a mixin base with other members each call is not reused', () => {
+    const mixin = members => toClass(members)
+    const getMixed = self =>
+      class extends mixin(self.members) {
+        own() {}
+      }
+
+    expect(Object.keys(selfless(getMixed, { members: { eh() {} } }))).toEqual([
+      'eh',
+      'own',
+    ])
+    expect(
+      Object.keys(selfless(getMixed, { members: { moose() {}, igloo() {} } }))
+    ).toEqual(['moose', 'igloo', 'own'])
+  })
+})
+
+describe('toClass', () => {
+  const descriptorsOf = blank =>
+    getMemberKeys(blank).map(key => [
+      key,
+      Object.getOwnPropertyDescriptor(blank, key),
+    ])
+
+  test('rebuilds a class with non-enumerable prototype members', () => {
+    const Api = toClass(
+      {
+        get token() {
+          return 'moose'
+        },
+        fetchTodos() {
+          return []
+        },
+        constructor() {},
+      },
+      { name: 'Api' }
+    )
+    const descriptor = Object.getOwnPropertyDescriptor(Api.prototype, 'token')
+
+    expect(Api.name).toBe('Api')
+    expect(new Api() instanceof Api).toBe(true)
+    expect(new Api().token).toBe('moose')
+    expect(typeof descriptor.get).toBe('function')
+    expect(Object.keys(Api.prototype)).toEqual([])
+    expect(Api.prototype.constructor).toBe(Api)
+    expect(() => toClass(() => {})).toThrow(ThislessInputError)
+    expect(() => toClass({}, { name: 1 })).toThrow(ThislessInputError)
+  })
+
+  test('thisless(toClass(blank)) round trips, accessors, symbols & base included', () => {
+    const eh = Symbol('eh')
+    class Base {
+      moose() {
+        return 'base'
+      }
+      get aboot() {
+        return 100
+      }
+    }
+    class Sub extends Base {
+      moose() {
+        return 'sub'
+      }
+      set aboot(value) {}
+      [eh]() {}
+      *[Symbol.iterator]() {}
+      _helper() {}
+    }
+    const options = { privatePrefix: '_' }
+    const blank = thisless(Sub, options)
+    const again = thisless(toClass(blank), options)
+
+    expect(descriptorsOf(again)).toEqual(descriptorsOf(blank))
+    expect(descriptorsOf(superOf(again))).toEqual(descriptorsOf(superOf(blank)))
+    expect(superOf(again).moose()).toBe('base')
+  })
+
+  test('hidden members stay hidden without the options', () => {
+    class Counter {
+      count() {}
+      _helper() {}
+    }
+    const blank = thisless(Counter, { privatePrefix: '_' })
+    const again = thisless(toClass(blank))
+
+    expect(Object.keys(again)).toEqual(['count'])
+    expect(descriptorsOf(again)).toEqual(descriptorsOf(blank))
+  })
+})
+
+describe('describe & inspect', () => {
+  const util = require('util')
+  const eh = Symbol('eh')
+  class Base {
+    moose() {}
+    get aboot() {
+      return 1
+    }
+  }
+  class Igloo extends Base {
+    count = 0
+    get aboot() {
+      return 2
+    }
+    set aboot(value) {}
+    set only(value) {}
+    _helper() {}
+    [eh]() {}
+  }
+  const getBlank = () => thisless(Igloo, { fields: true, privatePrefix: '_' })
+
+  test('class name, member kinds & origin', () => {
+    const { name, members } = describeBlankObj(getBlank())
+
+    expect(name).toBe('Igloo')
+    expect(
+      members.map(({ key, kind, origin, from }) => [key, kind, origin, from])
+    ).toEqual([
+      ['moose', 'method', 'base', 'Base'],
+      ['aboot', 'getter+setter', 'own', 'Igloo'],
+      ['only', 'setter', 'own', 'Igloo'],
+      ['_helper', 'method', 'own', 'Igloo'],
+      ['count', 'field', 'own', 'Igloo'],
+      [eh, 'method', 'own', 'Igloo'],
+    ])
+    expect(members[3].enumerable).toBe(false)
+    expect(describeBlankObj({ eh: 1 }).members[0].kind).toBe('field')
+    expect(() => describeBlankObj(1)).toThrow(ThislessInputError)
+  })
+
+  test('Object.keys stays clean, toStringTag & inspect are readable', () => {
+    const blank = getBlank()
+
+    expect(Object.keys(blank)).toEqual(['moose', 'aboot', 'only', 'count'])
+    expect(Object.prototype.toString.call(blank)).toBe('[object Igloo]')
+    expect(util.inspect(blank)).toBe(
+      'Igloo [thisless] { moose: [method from Base], aboot: [getter+setter], ' +
+        'only: [setter], _helper: [method], count: 0, [Symbol(eh)]: [method] }'
+    )
+    expect(util.inspect(thisless(class {}))).toBe('BlankObject [thisless] {}')
+    expect(toClass(blank).name).toBe('Igloo')
+  })
+
+  test('an inspect member of the class wins', () => {
+    class Custom {
+      [util.inspect.custom]() {
+        return 'custom'
+      }
+    }
+    const blank = thisless(Custom)
+
+    expect(util.inspect(blank)).toBe('custom')
+    expect(getMemberKeys(blank)).toEqual([util.inspect.custom])
+    expect(describeBlankObj(blank).members[0].key).toBe(util.inspect.custom)
+    expect(util.inspect(thisless(toClass(blank)))).toBe('custom')
+  })
+
+  test('selfless blank objects are described without metadata properties', () => {
+    const blank = selfless(self => class Igloo extends Base {}, {})
+
+    // only the link to the base & the prototypes to describe
+    expect(Object.getOwnPropertySymbols(blank)).toHaveLength(2)
+    expect(getMemberKeys(blank)).toEqual(['moose', 'aboot'])
+    expect(Object.prototype.toString.call(blank)).toBe('[object Object]')
+    expect(describeBlankObj(blank).name).toBe('Igloo')
+    expect(describeBlankObj(blank).members[0].from).toBe('Base')
+  })
+})
+
+describe('explicit state tree integration', () => {
+  const getToggle = self =>
+    class {
+      toggle() {
+        self.done = !self.done
+        return self.done
+      }
+    }
+  const getInverted = self =>
+    class {
+      get doneInverted() {
+        return !self.done
+      }
+    }
+
+  afterEach(() => install(types))
+
+  test('uninstall restores mst, install patches it again', () => {
+    uninstall(types)
+
+    expect(isInstalled(types)).toBe(false)
+    expect(types.model({}).createStore).toBe(undefined)
+    expect(() =>
+      types
+        .model({ done: false })
+        .actions(getToggle)
+        .create()
+    ).toThrow()
+
+    const uninstallAgain = install(types)
+    expect(isInstalled(types)).toBe(true)
+    expect(types.model({}).createStore).toBeDefined()
+
+    uninstallAgain()
+    expect(isInstalled(types)).toBe(false)
+  })
+
+  test('withClasses works without installing, through the whole chain', () => {
+    uninstall()
+    const Task = withClasses(types.model({ done: false }))
+      .actions(getToggle)
+      .named('Task')
+      .views(getInverted)
+    const { state } = Task.createStore()
+
+    expect(state.toggle()).toBe(true)
+    expect(state.doneInverted).toBe(false)
+    expect(Task.name).toBe('Task')
+    expect(withClasses(Task)).toBe(Task)
+    expect(unwrap(Task).createStore).toBe(undefined)
+    expect(() => withClasses({})).toThrow(/model type/)
+  })
+
+  test('each copy of mst is installed separately', () => {
+    let otherTypes
+    jest.isolateModules(() => {
+      otherTypes = require('mobx-state-tree').types
+    })
+
+    expect(otherTypes).not.toBe(types)
+    expect(isInstalled(otherTypes)).toBe(false)
+    expect(otherTypes.model({}).createStore).toBe(undefined)
+
+    install(otherTypes)
+    const Task = otherTypes.model({ done: false }).actions(getToggle)
+    expect(Task.create().toggle()).toBe(true)
+
+    uninstall(otherTypes)
+    expect(isInstalled(otherTypes)).toBe(false)
+    expect(isInstalled(types)).toBe(true)
+    expect(() => install({})).toThrow(/types export/)
+  })
+
+  test('generator methods become flows of the copy the model came from', async () => {
+    let other
+    jest.isolateModules(() => {
+      other = require('mobx-state-tree')
+    })
+    const getLoad = self =>
+      class {
+        *load() {
+          self.done = yield Promise.resolve(true)
+        }
+      }
+
+    const Unknown = withClasses(other.types.model({ done: false })).actions(
+      getLoad
+    )
+    expect(() => Unknown.create()).toThrow(/install\(types, \{ flow \}\)/)
+
+    install(other.types, { flow: other.flow })
+    const state = other.types
+      .model({ done: false })
+      .actions(getLoad)
+      .create()
+    await state.load()
+
+    expect(state.done).toBe(true)
+    uninstall(other.types)
+  })
+})
+
+/* prettier-ignore */
+describe('state tree volatile & extend from classes', () => {
+  test('volatile fields become volatile state', () => {
+    const Fetcher = types
+      .model({ url: '' })
+      .volatile(self => class {
+        pending = false
+        response = { url: self.url }
+      })
+      .actions(self => class {
+        start() {
+          self.pending = true
+        }
+      })
+    const state = Fetcher.create({ url: '/eh' })
+
+    expect(state.pending).toBe(false)
+    expect(state.response).toEqual({ url: '/eh' })
+    state.start()
+    expect(state.pending).toBe(true)
+  })
+
+  test('volatile still takes plain objects', () => {
+    const state = types
+      .model({})
+      .volatile(self => ({ pending: true }))
+      .create()
+
+    expect(state.pending).toBe(true)
+  })
+
+  test('extend: getters are views, methods actions, fields volatile', () => {
+    const Task = types
+      .model({ done: false })
+      .extend(self => class {
+        toggles = 0
+        get doneInverted() {
+          return !self.done
+        }
+        toggle() {
+          self.done = !self.done
+          self.toggles += 1
+        }
+      })
+    const state = Task.create()
+
+    expect(state.doneInverted).toBe(true)
+    state.toggle()
+    expect(state.done).toBe(true)
+    expect(state.toggles).toBe(1)
+    expect(state.doneInverted).toBe(false)
+    // views can not modify state outside actions
+    expect(() => {
+      state.done = false
+    }).toThrow()
+  })
+
+  test('extend validates the factory and what it returns', () => {
+    expect(() => types.model({}).extend(1)).toThrow(ThislessInputError)
+    expect(() => types.model({}).extend(self => 1).create()).toThrow(
+      SelflessFactoryError
+    )
+  })
+})
+
+/* prettier-ignore */
+describe('modelFromClass', () => {
+  const getTodo = self => class Todo {
+    title = types.string
+    done = false
+    pending = undefined
+    get doneInverted() {
+      return !self.done
+    }
+    toggle() {
+      self.done = !self.done
+      return self.done
+    }
+  }
+
+  test('types & primitive fields are properties, the rest volatile', () => {
+    const Todo = modelFromClass(getTodo)
+    const { state } = Todo.createStore({ title: 'eh' })
+
+    expect(Todo.name).toBe('Todo')
+    expect(Object.keys(Todo.properties)).toEqual(['title', 'done'])
+    expect(state.toggle()).toBe(true)
+    expect(state.doneInverted).toBe(false)
+    expect(state.pending).toBe(undefined)
+    expect(getSnapshot(state)).toEqual({ title: 'eh', done: true })
+  })
+
+  test('is the same kind of model as one built from the hooks', () => {
+    const Todo = types
+      .model('Todo', { title: types.string, done: false })
+      .views(self => class {
+        get doneInverted() {
+          return !self.done
+        }
+      })
+    const FromClass = modelFromClass(getTodo)
+
+    expect(Object.getPrototypeOf(unwrap(FromClass))).toBe(
+      Object.getPrototypeOf(Todo)
+    )
+    expect(FromClass.is({ title: 'eh', done: false })).toBe(true)
+    expect(FromClass.actions).toBe(Todo.actions)
+  })
+
+  test('@prop declares the type, the field value is the default', () => {
+    class Counter {
+      count = 2
+      label = undefined
+      increment() {}
+    }
+    // same as @prop(types.number) on the fields
+    prop(types.number)(Counter.prototype, 'count')
+    prop(types.maybe(types.string))(Counter.prototype, 'label')
+
+    const state = modelFromClass(Counter).create()
+    expect(state.count).toBe(2)
+    expect(state.label).toBe(undefined)
+    expect(() => modelFromClass(Counter).create({ count: 'eh' })).toThrow()
+    expect(() => prop(Number)).toThrow(ThislessInputError)
+  })
+
+  test('a static name is the model name', () => {
+    const Model = modelFromClass(self => class {
+      static name = 'Named'
+      eh = 1
+    })
+    expect(Model.name).toBe('Named')
+  })
+
+  test('arrow function fields are actions', () => {
+    const Todo = modelFromClass(self => class Todo {
+      done = false
+      toggle = () => {
+        self.done = !self.done
+      }
+    })
+    const state = Todo.create()
+    state.toggle()
+
+    expect(state.done).toBe(true)
+    expect(Object.keys(Todo.properties)).toEqual(['done'])
+  })
+
+  test('null fields need a type', () => {
+    class Selection {
+      selected = null
+    }
+    expect(() => modelFromClass(Selection)).toThrow(ThislessInputError)
+    expect(() => modelFromClass(Selection)).toThrow(/types\.maybeNull/)
+
+    // same as @prop(types.maybeNull(types.number)) on selected
+    prop(types.maybeNull(types.number))(Selection.prototype, 'selected')
+    expect(getSnapshot(modelFromClass(Selection).create())).toEqual({
+      selected: null,
+    })
+  })
+
+  test('works with a copy of mst that is not installed', () => {
+    let otherTypes
+    jest.isolateModules(() => {
+      otherTypes = require('mobx-state-tree').types
+    })
+    const Todo = modelFromClass(getTodo, { types: otherTypes })
+
+    expect(Todo.createStore({ title: 'eh' }).state.toggle()).toBe(true)
+    expect(isInstalled(otherTypes)).toBe(false)
+  })
+
+  test('validates the factory', () => {
+    expect(() => modelFromClass(1)).toThrow(ThislessInputError)
+    expect(() => modelFromClass(self => 1)).toThrow(SelflessFactoryError)
+  })
+})
+
+/* prettier-ignore */
+describe('state tree flows', () => {
+  const getLoader = self => class {
+    *load(items) {
+      self.pending = true
+      const loaded = yield Promise.resolve(items)
+      self.items = loaded.length
+      self.pending = false
+      return loaded
+    }
+  }
+  const Loader = types.model({ pending: false, items: 0 })
+
+  test('generator actions become flows', async () => {
+    const state = Loader.actions(getLoader).create()
+
+    const loading = state.load(['eh', 'moose'])
+    expect(loading).toBeInstanceOf(Promise)
+    expect(state.pending).toBe(true)
+    expect(await loading).toEqual(['eh', 'moose'])
+    expect(state.items).toBe(2)
+    expect(state.pending).toBe(false)
+  })
+
+  test('generators in extend & modelFromClass become flows', async () => {
+    // a field right before *load would need a semicolon
+    const Model = modelFromClass(self => class Model {
+      *load(items) {
+        self.items = (yield Promise.resolve(items)).length
+      }
+      items = 0
+    })
+    const state = Model.create()
+    await state.load([1, 2, 3])
+    expect(state.items).toBe(3)
+
+    const extended = Loader.extend(getLoader).create()
+    await extended.load([1])
+    expect(extended.items).toBe(1)
+  })
+
+  test('warns once about async actions changing self after await', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const Model = Loader.actions(self => class {
+      async load() {
+        self.pending = true
+        await Promise.resolve()
+        self.items = 1
+      }
+    })
+    Model.create()
+    Model.create()
+
+    expect(warn).toHaveBeenCalledTimes(1)
+    expect(warn.mock.calls[0][0]).toMatch(
+      /load \(async method\) changes self\.items after await on line 4/
+    )
+    warn.mockRestore()
+  })
+})
+
+/* prettier-ignore */
+describe('state tree lifecycle', () => {
+  const Model = types.model({ calls: types.array(types.string) })
+
+  test('the constructor runs as afterCreate, before an afterCreate method', () => {
+    const state = Model.actions(self => class {
+      constructor() {
+        self.calls.push('constructor')
+      }
+      afterCreate() {
+        self.calls.push('afterCreate')
+      }
+      beforeDestroy() {}
+    }).create()
+
+    expect(state.calls.slice()).toEqual(['constructor', 'afterCreate'])
+    // not added as an action
+    expect(state.constructor).toBe(Object)
+  })
+
+  test('a generator afterCreate still runs as a flow after the constructor', async () => {
+    const state = Model.actions(self => class {
+      constructor() {
+        self.calls.push('constructor')
+      }
+      *afterCreate() {
+        self.calls.push('afterCreate')
+        yield Promise.resolve()
+        self.calls.push('resumed')
+      }
+    }).create()
+    await new Promise(resolve => setTimeout(resolve))
+
+    expect(state.calls.slice()).toEqual(['constructor', 'afterCreate', 'resumed'])
+  })
+
+  test('the constructor of a base class runs too, in extend', () => {
+    class Base {
+      constructor() {
+        Base.created += 1
+      }
+    }
+    Base.created = 0
+    const state = Model.extend(self => class extends Base {
+      get count() {
+        return self.calls.length
+      }
+    }).create()
+
+    expect(Base.created).toBe(1)
+    expect(state.count).toBe(0)
+  })
+
+  test('checkThis reads the actions without the constructor, once per factory', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const Acts = Model.actions(self => class Acts {
+      constructor() {
+        self.calls.push(typeof this)
+      }
+      detached() {
+        return this.calls
+      }
+    }, { checkThis: 'warn' })
+    Acts.create()
+    Acts.create()
+
+    expect(warn).toHaveBeenCalledTimes(1)
+    expect(warn.mock.calls[0][0]).toMatch(/Acts\.detached \(method\) uses this/)
+    warn.mockRestore()
+
+    const bound = Model.actions(self => class {
+      constructor() {}
+      detached() {
+        return this.calls
+      }
+    }, { checkThis: 'bind' }).create()
+    const { detached } = bound
+    expect(() => detached()).not.toThrow()
+  })
+
+  test('misspelled hooks, accessor hooks & hooks in views throw', () => {
+    const misspelled = Model.actions(self => class {
+      aftercreated() {}
+    })
+    expect(() => misspelled.create()).toThrow(LifecycleHookError)
+    expect(() => misspelled.create()).toThrow(
+      'aftercreated looks like the lifecycle hook afterCreate'
+    )
+
+    const accessor = Model.extend(self => class {
+      get beforeDestroy() {
+        return 1
+      }
+    })
+    expect(() => accessor.create()).toThrow(/have to be methods/)
+
+    const view = Model.views(self => class {
+      afterAttach() {}
+    })
+    expect(() => view.create()).toThrow(/move it to the actions/)
+  })
+
+  test('hooks a letter away only warn, afterAttack can be on purpose', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const Attacks = Model.actions(self => class {
+      afterAttack() {
+        self.calls.push('attacked')
+      }
+    })
+    Attacks.create().afterAttack()
+    Attacks.create()
+
+    expect(warn).toHaveBeenCalledTimes(1)
+    expect(warn.mock.calls[0][0]).toMatch(/afterAttack looks like the lifecycle hook afterAttach/)
+    warn.mockRestore()
+    expect(() => Model.actions(self => class {
+      AfterCreate() {}
+    }).create()).toThrow(LifecycleHookError)
+  })
+
+  test('a constructor setting fields throws instead of losing them', () => {
+    const Fields = Model.actions(self => class {
+      constructor() {
+        this.pending = true
+      }
+    })
+    expect(() => Fields.create()).toThrow(/pending of anonymous class/)
+  })
+
+  test('modelFromClass: constructor & static snapshot processors', () => {
+    const Todo = modelFromClass(self => class Todo {
+      title = types.string
+      static preProcessSnapshot(snapshot) {
+        return { title: snapshot.title.trim() }
+      }
+      static postProcessSnapshot(snapshot) {
+        return { title: snapshot.title.toUpperCase() }
+      }
+    })
+    const state = Todo.create({ title: ' eh ' })
+
+    expect(state.title).toBe('eh')
+    expect(getSnapshot(state)).toEqual({ title: 'EH' })
+    expect(() => modelFromClass(class Eh {
+      static preprocessSnapshot() {}
+    })).toThrow(LifecycleHookError)
+  })
+
+  test('modelFromClass: the constructor is afterCreate', () => {
+    const Todo = modelFromClass(self => class Todo {
+      constructor() {
+        self.setTitle('created')
+      }
+      setTitle(title) {
+        self.title = title
+      }
+    }).props({ title: '' })
+
+    expect(Todo.create().title).toBe('created')
+  })
+
+  test('modelFromClass: fields next to a constructor throw when defined', () => {
+    class Base {
+      done = false
+    }
+    const define = () => modelFromClass(self => class Todo extends Base {
+      title = types.string
+      constructor() {
+        super()
+        self.load()
+      }
+      load() {}
+    })
+
+    expect(define).toThrow(ThislessInputError)
+    expect(define).toThrow(/title, done of Todo/)
+  })
+})
+
+/* prettier-ignore */
+describe('redux store & devtools', () => {
+  const Task = types.model({ done: false, title: '' })
+    .actions(self => class {
+      toggle() {
+        self.done = !self.done
+      }
+      rename(title) {
+        self.title = title
+      }
+    })
+
+  /**
+   * @desc in-process stand-in for the devtools extension connection
+   */
+  const createFakeTransport = () => {
+    const transport = {
+      inits: [],
+      sent: [],
+      listeners: [],
+      init: state => transport.inits.push(state),
+      send: (action, state) => transport.sent.push({ action, state }),
+      subscribe: listener => {
+        transport.listeners.push(listener)
+        return () => transport.listeners.splice(transport.listeners.indexOf(listener), 1)
+      },
+      receive: message => transport.listeners.forEach(listener => listener(message)),
+    }
+    return transport
+  }
+
+  test('getState, dispatch & subscribe', () => {
+    const { state, store } = Task.createStore()
+    const listener = jest.fn()
+    const unsubscribe = store.subscribe(listener)
+
+    const action = { type: 'rename', args: ['eh'] }
+    expect(store.dispatch(action)).toBe(action)
+    expect(state.title).toBe('eh')
+    expect(store.getState()).toEqual({ done: false, title: 'eh' })
+    expect(listener).toHaveBeenCalledTimes(1)
+
+    unsubscribe()
+    store.dispatch({ type: 'toggle' })
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(() => store.dispatch({ args: [] })).toThrow(ThislessInputError)
+    expect(() => store.dispatch({ type: 'moose' })).toThrow()
+  })
+
+  test('middleware runs in order, and can dispatch through the chain', () => {
+    const calls = []
+    const logger = name => () => next => action => {
+      calls.push(`${name} ${action.type}`)
+      return next(action)
+    }
+    const renameOnToggle = api => next => action => {
+      if (action.type === 'toggle' && !api.getState().done) {
+        api.dispatch({ type: 'rename', args: ['toggled'] })
+      }
+      return next(action)
+    }
+    const { state, store } = Task.createStore(undefined, {
+      middleware: [logger('first'), logger('second'), renameOnToggle],
+    })
+
+    store.dispatch({ type: 'toggle' })
+    expect(calls).toEqual([
+      'first toggle',
+      'second toggle',
+      'first rename',
+      'second rename',
+    ])
+    expect(state.title).toBe('toggled')
+    expect(() => asReduxStore(state, [1])).toThrow(/middleware/)
+    expect(() => asReduxStore({})).toThrow(/state tree instance/)
+  })
+
+  test('devtools get the initial state & each action with the state after it', () => {
+    const transport = createFakeTransport()
+    const { state, disconnect } = Task.createStore(undefined, {
+      devtools: transport,
+    })
+
+    state.toggle()
+    state.rename('eh')
+    expect(transport.inits).toEqual([{ done: false, title: '' }])
+    expect(transport.sent).toEqual([
+      { action: { type: 'toggle', args: [], path: '' }, state: { done: true, title: '' } },
+      { action: { type: 'rename', args: ['eh'], path: '' }, state: { done: true, title: 'eh' } },
+    ])
+
+    disconnect()
+    state.toggle()
+    expect(transport.sent.length).toBe(2)
+    expect(transport.listeners.length).toBe(0)
+  })
+
+  test('devtools can jump, reset & dispatch', () => {
+    const transport = createFakeTransport()
+    const { state, store } = Task.createStore()
+    connectDevtools(store, transport)
+
+    state.toggle()
+    transport.receive({
+      type: 'DISPATCH',
+      payload: { type: 'JUMP_TO_STATE' },
+      state: JSON.stringify({ done: false, title: 'jumped' }),
+    })
+    expect(state.title).toBe('jumped')
+
+    transport.receive({ type: 'ACTION', payload: '{ "type": "rename", "args": ["sent"] }' })
+    expect(state.title).toBe('sent')
+
+    transport.receive({ type: 'DISPATCH', payload: { type: 'RESET' } })
+    expect(getSnapshot(state)).toEqual({ done: false, title: '' })
+    expect(transport.inits.length).toBe(2)
+    expect(() => connectDevtools(store, {})).toThrow(ThislessInputError)
+  })
+})
+
+/* prettier-ignore */
+describe('persisting snapshots', () => {
+  const Todos = types.model('Todos', {
+    title: '',
+    todos: types.array(types.string),
+    pending: false,
+  }).actions(self => class {
+    add(todo) {
+      self.todos.push(todo)
+    }
+    rename(title) {
+      self.title = title
+    }
+  })
+
+  test('saves each snapshot, restores it over the data on create', () => {
+    const storage = memoryStorage()
+    const { state } = Todos.createStore({ title: 'eh' }, { persist: { storage } })
+    state.add('moose')
+
+    expect(JSON.parse(storage.getItem('Todos'))).toEqual({
+      version: 0,
+      snapshot: { title: 'eh', todos: ['moose'], pending: false },
+    })
+
+    const restored = Todos.createStore({ title: 'igloo' }, { persist: { storage } })
+    expect(getSnapshot(restored.state)).toEqual({
+      title: 'eh',
+      todos: ['moose'],
+      pending: false,
+    })
+  })
+
+  test('whitelist & blacklist pick the saved properties', () => {
+    const storage = memoryStorage()
+    const whitelisted = Todos.createStore(undefined, {
+      persist: { storage, key: 'white', whitelist: ['todos'] },
+    })
+    const blacklisted = Todos.createStore(undefined, {
+      persist: { storage, key: 'black', blacklist: ['pending'] },
+    })
+    whitelisted.state.add('eh')
+    blacklisted.state.add('eh')
+
+    expect(JSON.parse(storage.getItem('white')).snapshot).toEqual({ todos: ['eh'] })
+    expect(JSON.parse(storage.getItem('black')).snapshot).toEqual({
+      title: '',
+      todos: ['eh'],
+    })
+    expect(() =>
+      Todos.createStore(undefined, {
+        persist: { storage, whitelist: ['todos'], blacklist: ['pending'] },
+      })
+    ).toThrow(/not both/)
+  })
+
+  test('older snapshots are migrated, newer ones are not restored', () => {
+    const storage = memoryStorage({
+      Todos: JSON.stringify({ version: 1, snapshot: { name: 'eh', items: 'a,b' } }),
+    })
+    const persist = {
+      storage,
+      version: 3,
+      migrations: {
+        2: ({ name, items }) => ({ title: name, items }),
+        3: ({ title, items }) => ({ title, todos: items.split(',') }),
+      },
+    }
+    const { state } = Todos.createStore(undefined, { persist })
+    expect(state.title).toBe('eh')
+    expect(state.todos.slice()).toEqual(['a', 'b'])
+    // stored as version 3
+    state.rename('igloo')
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const older = Todos.createStore(undefined, {
+      persist: Object.assign({}, persist, { version: 2 }),
+    })
+    expect(older.state.title).toBe('')
+    expect(warn).toHaveBeenCalledTimes(1)
+    warn.mockRestore()
+  })
+
+  test('debounced writes, flush & disconnect', () => {
+    jest.useFakeTimers()
+    const storage = memoryStorage()
+    const { state, persistor, disconnect } = Todos.createStore(undefined, {
+      persist: { storage, debounce: 100 },
+    })
+
+    state.add('eh')
+    state.add('moose')
+    expect(storage.getItem('Todos')).toBe(null)
+    jest.advanceTimersByTime(100)
+    expect(JSON.parse(storage.getItem('Todos')).snapshot.todos).toEqual(['eh', 'moose'])
+
+    state.rename('igloo')
+    persistor.flush()
+    expect(JSON.parse(storage.getItem('Todos')).snapshot.title).toBe('igloo')
+
+    state.rename('pending')
+    disconnect()
+    state.rename('after')
+    jest.advanceTimersByTime(100)
+    expect(JSON.parse(storage.getItem('Todos')).snapshot.title).toBe('pending')
+
+    persistor.purge()
+    expect(storage.getItem('Todos')).toBe(null)
+    jest.useRealTimers()
+  })
+
+  test('a json file on disk', () => {
+    const fs = require('fs')
+    const path = require('path')
+    const os = require('os')
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thisless-'))
+    const file = path.join(dir, 'state.json')
+
+    const first = Todos.createStore(undefined, { persist: { storage: fileStorage(file) } })
+    first.state.add('eh')
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).Todos.snapshot.todos).toEqual(['eh'])
+
+    const second = Todos.createStore(undefined, { persist: { storage: fileStorage(file) } })
+    expect(second.state.todos.slice()).toEqual(['eh'])
+    fs.rmSync(dir, { recursive: true })
+  })
+
+  test('any getItem & setItem object, async too', async () => {
+    const items = { Todos: JSON.stringify({ version: 0, snapshot: { title: 'eh' } }) }
+    const storage = {
+      getItem: key => Promise.resolve(items[key]),
+      setItem: (key, value) => {
+        items[key] = value
+        return Promise.resolve()
+      },
+    }
+    const { state, persistor } = Todos.createStore(undefined, { persist: { storage } })
+    expect(state.title).toBe('')
+
+    await persistor.hydrated
+    expect(state.title).toBe('eh')
+    state.add('moose')
+    expect(JSON.parse(items.Todos).snapshot).toEqual({
+      title: 'eh',
+      todos: ['moose'],
+      pending: false,
+    })
+    expect(() => Todos.createStore(undefined, { persist: { storage: {} } })).toThrow(
+      ThislessInputError
+    )
+  })
+
+  test('purging without removeItem stores nothing to restore', () => {
+    const items = {}
+    // like localStorage, null is stored as 'null'
+    const storage = {
+      getItem: key => (key in items ? items[key] : null),
+      setItem: (key, value) => {
+        items[key] = String(value)
+      },
+    }
+    const { state, persistor } = Todos.createStore(undefined, { persist: { storage } })
+    state.add('eh')
+    persistor.purge()
+    expect(items.Todos).toBe('null')
+
+    const fresh = Todos.createStore({ title: 'moose' }, { persist: { storage } })
+    expect(fresh.state.title).toBe('moose')
+  })
+
+  test('async storage failing is reported, hydrating ends', async () => {
+    const onError = jest.fn()
+    const storage = {
+      getItem: () => Promise.reject(new Error('eh')),
+      setItem: () => Promise.reject(new Error('moose')),
+    }
+    const { state, persistor } = Todos.createStore(undefined, {
+      persist: { storage, onError },
+    })
+
+    await persistor.hydrated
+    expect(onError).toHaveBeenCalledWith(new Error('eh'), {
+      key: 'Todos',
+      operation: 'getItem',
+    })
+
+    state.add('igloo')
+    await new Promise(resolve => setImmediate(resolve))
+    expect(onError).toHaveBeenCalledWith(new Error('moose'), {
+      key: 'Todos',
+      operation: 'setItem',
+    })
+  })
+
+  test('a corrupt stored value is reported, the data is used', () => {
+    const onError = jest.fn()
+    const storage = memoryStorage({ Todos: '{not json' })
+    const { state } = Todos.createStore({ title: 'eh' }, {
+      persist: { storage, onError },
+    })
+
+    expect(state.title).toBe('eh')
+    expect(onError).toHaveBeenCalledWith(expect.any(SyntaxError), {
+      key: 'Todos',
+      operation: 'getItem',
+    })
+  })
+})
+
+/* prettier-ignore */
+describe('undo & redo history', () => {
+  const Editor = types.model({
+    text: '',
+    selected: 0,
+    saving: false,
+  }).actions(self => class {
+    type(text) {
+      self.text += text
+    }
+    typeTwice(text) {
+      self.type(text)
+      self.type(text)
+    }
+    select(index) {
+      self.selected = index
+    }
+    *save() {
+      self.saving = true
+      yield Promise.resolve()
+      self.text += '.'
+      self.saving = false
+    }
+  })
+
+  test('undo & redo each top level action', () => {
+    const { state, history } = Editor.createStore(undefined, { history: true })
+    expect(history.canUndo).toBe(false)
+
+    state.type('eh')
+    state.type(' moose')
+    history.undo()
+    expect(state.text).toBe('eh')
+    expect(history.canRedo).toBe(true)
+
+    history.redo()
+    expect(state.text).toBe('eh moose')
+    expect(history.canRedo).toBe(false)
+
+    history.undo()
+    state.type('!')
+    expect(state.text).toBe('eh!')
+    expect(history.canRedo).toBe(false)
+  })
+
+  test('nested actions & flows are one entry each', async () => {
+    const { state, history } = Editor.createStore(undefined, { history: true })
+
+    state.typeTwice('a')
+    await state.save()
+    expect(state.text).toBe('aa.')
+    expect(history.entries.map(entry => entry.name)).toEqual(['typeTwice', 'save'])
+
+    history.undo()
+    expect(getSnapshot(state)).toEqual({ text: 'aa', selected: 0, saving: false })
+    history.undo()
+    expect(state.text).toBe('')
+  })
+
+  test('limit drops the oldest entries', () => {
+    const { state, history } = Editor.createStore(undefined, { history: { limit: 2 } })
+    state.type('a')
+    state.type('b')
+    state.type('c')
+
+    history.undo()
+    history.undo()
+    history.undo()
+    expect(state.text).toBe('a')
+    expect(history.canUndo).toBe(false)
+    expect(() => Editor.createStore(undefined, { history: { limit: 0 } })).toThrow(
+      ThislessInputError
+    )
+  })
+
+  test('excluded by name or with skipHistory', () => {
+    const byName = Editor.createStore(undefined, { history: { exclude: /^select/ } })
+    byName.state.select(2)
+    expect(byName.history.canUndo).toBe(false)
+
+    const { state, history } = types
+      .model({ selected: 0 })
+      .actions(self => {
+        class Actions {
+          mark(index) {
+            self.selected = index
+          }
+        }
+        // same as @skipHistory on mark
+        skipHistory(Actions.prototype.mark)
+        return Actions
+      })
+      .createStore(undefined, { history: true })
+
+    state.mark(1)
+    expect(history.canUndo).toBe(false)
+    expect(() => skipHistory({}, 'eh', { get() {} })).toThrow(ThislessInputError)
+  })
+})
+
+/* prettier-ignore */
+describe('action log & replay', () => {
+  const Todo = types.model('Todo', { title: '', done: false })
+    .actions(self => class {
+      toggle() {
+        self.done = !self.done
+      }
+    })
+  const Todos = types.model('Todos', { todos: types.array(Todo) })
+    .actions(self => class {
+      add(title) {
+        self.todos.push({ title })
+      }
+      addTwice(title) {
+        self.add(title)
+        self.add(title)
+      }
+    })
+    .actions(self => ({
+      reset() {
+        self.todos.clear()
+      },
+    }))
+
+  test('logs top level calls of class actions, with args, path & timestamp', () => {
+    const { state, actionLog } = Todos.createStore()
+    const before = Date.now()
+
+    state.addTwice('eh')
+    state.todos[1].toggle()
+    state.reset()
+
+    expect(actionLog.entries.map(({ name, args, path }) => ({ name, args, path }))).toEqual([
+      { name: 'addTwice', args: ['eh'], path: '' },
+      { name: 'toggle', args: [], path: '/todos/1' },
+    ])
+    expect(actionLog.entries[0].timestamp).toBeGreaterThanOrEqual(before)
+  })
+
+  test('json replays onto a fresh store', () => {
+    const recorded = Todos.createStore()
+    recorded.state.add('eh')
+    recorded.state.add('moose')
+    recorded.state.todos[0].toggle()
+
+    const json = JSON.stringify(recorded.actionLog)
+    expect(JSON.parse(json).model).toBe('Todos')
+
+    const fresh = Todos.createStore()
+    replayActions(fresh.state, json)
+    expect(getSnapshot(fresh.state)).toEqual(getSnapshot(recorded.state))
+
+    const other = Todos.createStore()
+    recorded.actionLog.replay(other.state)
+    expect(other.state.todos.length).toBe(2)
+    expect(() => replayActions(other.state, { eh: 1 })).toThrow(ThislessInputError)
+  })
+
+  test('limit, clear & turning it off', () => {
+    const { state, actionLog } = Todos.createStore(undefined, { actionLog: { limit: 1 } })
+    state.add('eh')
+    state.add('moose')
+    expect(actionLog.entries.map(entry => entry.args)).toEqual([['moose']])
+
+    actionLog.clear()
+    expect(actionLog.entries).toEqual([])
+    expect(Todos.createStore(undefined, { actionLog: false }).actionLog).toBe(undefined)
+  })
+
+  test('keeps the latest 1000 entries by default', () => {
+    const Counter = types.model({ count: 0 })
+      .actions(self => class {
+        increment() {
+          self.count += 1
+        }
+      })
+    const { state, actionLog } = Counter.createStore()
+    for (let i = 0; i < 1002; i++) state.increment()
+
+    expect(actionLog.entries.length).toBe(1000)
+    expect(state.count).toBe(1002)
+  })
+})
+
+/* prettier-ignore */
+describe('memoized view methods', () => {
+  const createTodos = (calls, options) => types
+    .model({ todos: types.array(types.model({ status: '' })) })
+    .actions(self => class {
+      add(status) {
+        self.todos.push({ status })
+      }
+      addAndCount(status) {
+        self.add(status)
+        return self.countBy(status)
+      }
+    })
+    .views(self => class {
+      countBy(status) {
+        calls.push(status)
+        return self.todos.filter(todo => todo.status === status).length
+      }
+    }, options)
+    .create({ todos: [{ status: 'done' }, { status: 'open' }] })
+
+  test('cached per argument tuple until observed state changes', () => {
+    const calls = []
+    const state = createTodos(calls, { memoize: /^countBy$/ })
+
+    expect(state.countBy('done')).toBe(1)
+    expect(state.countBy('done')).toBe(1)
+    expect(state.countBy('open')).toBe(1)
+    expect(calls).toEqual(['done', 'open'])
+
+    state.add('done')
+    expect(state.countBy('done')).toBe(2)
+    expect(calls).toEqual(['done', 'open', 'done'])
+  })
+
+  test('fresh inside the action that changed the state', () => {
+    const calls = []
+    const state = createTodos(calls, { memoize: 'countBy' })
+
+    expect(state.countBy('open')).toBe(1)
+    expect(state.addAndCount('open')).toBe(2)
+  })
+
+  test('the cache is bounded, least recently used first', () => {
+    const calls = []
+    const state = createTodos(calls, { memoize: 'countBy', memoizeLimit: 2 })
+
+    state.countBy('a')
+    state.countBy('b')
+    state.countBy('a')
+    state.countBy('c')
+    state.countBy('a')
+    state.countBy('b')
+    expect(calls).toEqual(['a', 'b', 'c', 'b'])
+  })
+
+  test('@memo, and reactions are told about changes', () => {
+    const { autorun } = require('mobx')
+    let calls = 0
+    const state = types
+      .model({ count: 0 })
+      .actions(self => class {
+        increment() {
+          self.count += 1
+        }
+      })
+      .views(self => {
+        class Views {
+          plus(amount) {
+            calls += 1
+            return self.count + amount
+          }
+        }
+        // same as @memo on plus
+        memo(Views.prototype.plus)
+        return Views
+      })
+      .create()
+
+    const seen = []
+    const dispose = autorun(() => seen.push(state.plus(10)))
+    state.plus(10)
+    state.increment()
+    dispose()
+
+    expect(seen).toEqual([10, 11])
+    expect(calls).toBe(2)
+    expect(() => memo({}, 'eh', { get() {} })).toThrow(ThislessInputError)
+  })
+
+  test('@memo & @skipHistory with interceptors', () => {
+    const traced = []
+    const options = { intercept: trace(({ key }) => traced.push(key)) }
+    let calls = 0
+    const { state, history } = types
+      .model({ count: 0, selected: 0 })
+      .actions(self => {
+        class Actions {
+          select(index) {
+            self.selected = index
+          }
+          inc() {
+            self.count += 1
+          }
+        }
+        // same as @skipHistory on select
+        skipHistory(Actions.prototype.select)
+        return Actions
+      }, options)
+      .views(self => {
+        class Views {
+          plus(amount) {
+            calls += 1
+            return self.count + amount
+          }
+        }
+        // same as @memo on plus
+        memo(Views.prototype.plus)
+        return Views
+      }, options)
+      .createStore(undefined, { history: true })
+
+    state.select(1)
+    state.inc()
+    state.plus(1)
+    state.plus(1)
+
+    expect(history.entries.map(entry => entry.name)).toEqual(['inc'])
+    expect(calls).toBe(1)
+    // the interceptors run inside the cache, like the method itself
+    expect(traced).toEqual(['select', 'inc', 'plus'])
+  })
+})
+
+/* prettier-ignore */
+describe('hot swapping classes', () => {
+  const { autorun } = require('mobx')
+
+  test('swapped actions & views run on live instances, state is kept', () => {
+    const Counter = types
+      .model({ count: 1 })
+      .actions(hot('counter.actions', self => class {
+        increment() {
+          self.count += 1
+        }
+      }))
+      .views(hot('counter.views', self => class {
+        get double() {
+          return self.count * 2
+        }
+      }))
+    const state = Counter.create()
+    const seen = []
+    const dispose = autorun(() => seen.push(state.double))
+
+    state.increment()
+    swap('counter.actions', self => class {
+      increment() {
+        self.count += 10
+      }
+    })
+    swap('counter.views', self => class {
+      get double() {
+        return self.count * 3
+      }
+    })
+    state.increment()
+    dispose()
+
+    expect(getSnapshot(state)).toEqual({ count: 12 })
+    expect(seen).toEqual([2, 4, 6, 36])
+  })
+
+  test('reports added, removed & changed members', () => {
+    const reports = []
+    const stop = onHotSwap(report => reports.push(report))
+    const Todo = types
+      .model({ done: false, title: '' })
+      .actions(hot('todo.actions', self => class {
+        toggle() {
+          self.done = !self.done
+        }
+        clear() {
+          self.title = ''
+        }
+      }))
+    const state = Todo.create({ title: 'swap' })
+    const alsoActions = hot('todo.actions', self => class {
+      toggle() {
+        self.done = !self.done
+      }
+      rename(title) {
+        self.title = title
+      }
+    })
+    stop()
+
+    expect(isHot(alsoActions)).toBe(true)
+    expect(reports).toEqual([
+      {
+        id: 'todo.actions',
+        added: ['rename'],
+        removed: ['clear'],
+        changed: [],
+        instances: 1,
+      },
+    ])
+    state.rename('added')
+    expect(state.title).toBe('added')
+    expect(() => state.clear()).toThrow(/clear was removed from todo.actions/)
+    expect(() => swap('todo.nope', self => class {})).toThrow(ThislessInputError)
+  })
+
+  test('added actions are logged with their own name', () => {
+    const Note = types
+      .model({ text: '' })
+      .actions(hot('note.actions', self => class {
+        clear() {
+          self.text = ''
+        }
+      }))
+    const { state, actionLog, history } = Note.createStore(undefined, { history: true })
+    swap('note.actions', self => class {
+      clear() {
+        self.text = ''
+      }
+      write(text) {
+        self.text = text
+      }
+    })
+    state.write('eh')
+
+    expect(actionLog.entries.map(({ name, args }) => ({ name, args }))).toEqual([
+      { name: 'write', args: ['eh'] },
+    ])
+    expect(history.entries.map(entry => entry.name)).toEqual(['write'])
+    const fresh = Note.create()
+    replayActions(fresh, actionLog.entries)
+    expect(fresh.text).toBe('eh')
+  })
+})
+
+/* prettier-ignore */
+describe('reducer from a class', () => {
+  const todos = reducerFromClass(state => class Todos {
+    todos = [{ title: 'eh', done: false }]
+    filter = 'all'
+    add(title) {
+      state.todos.push({ title, done: false })
+    }
+    toggle(index) {
+      state.todos[index].done = !state.todos[index].done
+    }
+    clearDone() {
+      state.todos = state.todos.filter(todo => !todo.done)
+    }
+    get done() {
+      return state.todos.filter(todo => todo.done)
+    }
+  })
+
+  test('types, action creators & selectors from the class', () => {
+    expect(todos.types).toEqual({
+      add: 'Todos/add',
+      toggle: 'Todos/toggle',
+      clearDone: 'Todos/clearDone',
+    })
+    expect(todos.actions.add('moose')).toEqual({ type: 'Todos/add', args: ['moose'] })
+    expect(todos.actions.toggle.type).toBe('Todos/toggle')
+    expect(todos.initialState).toEqual({ todos: [{ title: 'eh', done: false }], filter: 'all' })
+    expect(Object.keys(todos.selectors)).toEqual(['done'])
+  })
+
+  test('updates are immutable, unchanged parts are kept', () => {
+    const initial = todos.reducer(undefined, { type: '@@INIT' })
+    const added = todos.reducer(initial, todos.actions.add('moose'))
+    const toggled = todos.reducer(added, todos.actions.toggle(1))
+    const cleared = todos.reducer(toggled, todos.actions.clearDone())
+
+    expect(initial.todos.length).toBe(1)
+    expect(added.todos.length).toBe(2)
+    expect(added.todos[0]).toBe(initial.todos[0])
+    expect(added.todos[1].done).toBe(false)
+    expect(toggled.todos[1].done).toBe(true)
+    expect(todos.selectors.done(toggled)).toEqual([{ title: 'moose', done: true }])
+    expect(cleared.todos).toEqual([{ title: 'eh', done: false }])
+    expect(cleared.todos[0]).toBe(initial.todos[0])
+    expect(todos.reducer(cleared, { type: 'other' })).toBe(cleared)
+  })
+
+  test('returning the next state, and namespace errors', () => {
+    const counter = reducerFromClass(state => class {
+      increment(by = 1) {
+        return state + by
+      }
+    }, { namespace: 'counter', initialState: 0 })
+
+    expect(counter.reducer(undefined, counter.actions.increment(2))).toBe(2)
+    expect(() => reducerFromClass(state => class {})).toThrow(ThislessInputError)
+    expect(() => reducerFromClass(state => ({}))).toThrow(SelflessFactoryError)
+  })
+
+  test('frozen state, as redux toolkit freezes it', () => {
+    const deepFreeze = value => {
+      Object.values(value).forEach(child => {
+        if (typeof child === 'object') deepFreeze(child)
+      })
+      return Object.freeze(value)
+    }
+    const initial = deepFreeze({ todos: [{ title: 'eh', done: false }], filter: 'all' })
+    const added = todos.reducer(initial, todos.actions.add('moose'))
+    const toggled = todos.reducer(added, todos.actions.toggle(0))
+
+    expect(added.todos.map(todo => todo.title)).toEqual(['eh', 'moose'])
+    expect(toggled.todos[0]).toEqual({ title: 'eh', done: true })
+    expect(toggled.todos[1]).toBe(added.todos[1])
+    expect(todos.reducer(deepFreeze(toggled), todos.actions.clearDone()).todos).toEqual([
+      { title: 'moose', done: false },
+    ])
+    expect(initial.todos[0].done).toBe(false)
+  })
+})
+
+/* prettier-ignore */
+describe('plain mobx observables from a class', () => {
+  const mobx = require('mobx')
+  const createTodos = options => observableFromClass(self => class {
+    list = []
+    filter = 'all'
+    add(title) {
+      self.list.push({ title, done: false })
+    }
+    *load(titles) {
+      const loaded = yield Promise.resolve(titles)
+      loaded.forEach(title => self.add(title))
+    }
+    get remaining() {
+      return self.list.filter(todo => !todo.done).length
+    }
+  }, options)
+
+  test('fields are observable, getters computed, methods bound actions', () => {
+    const todos = createTodos()
+    const seen = []
+    const dispose = mobx.autorun(() => seen.push(todos.remaining))
+    const { add } = todos
+    add('eh')
+    dispose()
+
+    expect(seen).toEqual([0, 1])
+    expect(mobx.isObservableProp(todos, 'list')).toBe(true)
+    expect(mobx.isComputedProp(todos, 'remaining')).toBe(true)
+    expect(mobx.isAction(todos.add)).toBe(true)
+    expect(Object.keys(todos)).toEqual(['list', 'filter'])
+  })
+
+  test('generator methods are flows, annotations override', async () => {
+    const todos = createTodos({ annotations: { filter: false } })
+    await todos.load(['eh', 'moose'])
+
+    expect(todos.remaining).toBe(2)
+    expect(mobx.isObservableProp(todos, 'filter')).toBe(false)
+    expect(() => observableFromClass(self => class {}, { annotations: [] })).toThrow(
+      ThislessInputError
+    )
+  })
+})
+
 /* prettier-ignore */
 describe('simple usage of state tree with class actions and selectors', () => {
   /// Simple action replay and invocation